@@ -1,12 +1,37 @@
 const express = require("express");
 const bodyParser = require("body-parser");
 const path = require("path");
-const fs = require("fs");
-const xlsx = require("xlsx");
-const { OpenAI } = require("openai");
-const axios = require("axios");
 const rateLimit = require('express-rate-limit');
+const multer = require("multer");
 require("dotenv").config();
+const { createCatalogStore, SUPPORTED_EXTENSIONS } = require("./lib/catalog");
+const { requireAdmin } = require("./lib/adminAuth");
+const { searchProducts, findSimilarProducts, extractPriceRange, missingProductTypes } = require("./lib/search");
+const { createEmbeddingProvider } = require("./lib/embeddings");
+const { createSemanticIndex } = require("./lib/semanticIndex");
+const { createSessionStore, createEmptySession } = require("./lib/sessionStore");
+const { createWhatsAppClient, formatProductDetails, setOutboundGuard } = require("./lib/whatsapp");
+const { INTENTS, parseInboundMessage } = require("./lib/inbound");
+const { allowUnsignedWebhooks, captureRawBody, verifyWebhookSignature, createTtlCache } = require("./lib/webhookSecurity");
+const { createKeyedQueue } = require("./lib/messageQueue");
+const { createLLMProvider } = require("./lib/llm");
+const { TOOL_DEFINITIONS, PRODUCTS_PER_PAGE, createToolRunner } = require("./lib/tools");
+const { createKnowledgeBase, validateEntry } = require("./lib/knowledgeBase");
+const { createPricingService, validateRates, validateConfig } = require("./lib/pricing");
+const { HANDOFF_REASONS, FAILED_SEARCH_LIMIT, detectEscalation, isInHandoff, notifyStaff, createHandoffService } = require("./lib/handoff");
+const { LEAD_TYPES, LEAD_STATUSES, createLeadStore, validateSlotConfig } = require("./lib/leads");
+const { sendExport, sendWorkbook } = require("./lib/export");
+const { createContactStore, validateAudience } = require("./lib/contacts");
+const { createCampaignService, validateCampaign } = require("./lib/campaigns");
+const { SHOW_MORE_PATTERN, detectLanguage, languageInstruction, t } = require("./lib/language");
+const { REPORTS, createAnalytics } = require("./lib/analytics");
+const { STORE_TIMEZONE, localDate } = require("./lib/time");
+const { createOptOutList, parseConsentKeyword } = require("./lib/consent");
+const { installConsoleRedaction } = require("./lib/redact");
+const { loadTenantConfigs, createTenantRegistry } = require("./lib/tenants");
+const { describeBusinessHours, storeStatus, upcomingHolidays, holidayOn } = require("./lib/businessHours");
+const { createCustomerThrottle } = require("./lib/throttle");
+const { createSpeechToTextProvider, createVisionProvider, catalogVocabulary, matchCatalogTerms } = require("./lib/media");
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // 🔧 APP INITIALIZATION & CONFIGURATION
@@ -14,15 +39,16 @@ require("dotenv").config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data"); // sessions, knowledge base and other runtime state
 
 // Middleware
-app.use(bodyParser.json());
+app.use(bodyParser.json({ verify: captureRawBody })); // raw body kept for signature checks
 app.use(express.static("public"));
 
-// Rate Limiting
+// Rate Limiting (per IP, i.e. per Meta server; customers are throttled by phone number below)
 const webhookLimiter = rateLimit({
   windowMs: 1000, // 1 second
-  max: 10, // limit each IP to 10 requests per windowMs
+  max: Number(process.env.WEBHOOK_RATE_LIMIT) || 10, // limit each IP to 10 requests per windowMs
   message: 'Too many requests',
   standardHeaders: true,
   legacyHeaders: false,
@@ -31,378 +57,722 @@ const webhookLimiter = rateLimit({
 app.use('/webhook', webhookLimiter);
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// 🤖 OPENAI CONFIGURATION
+// 🤖 LLM CONFIGURATION
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const MODEL = "gpt-4o";
-const MAX_ROWS_TO_MODEL = 20;
-const userConversations = {}; // { phone : [ { role, content } ] }
-const userProductResults = {}; // Store search results for pagination: { phone: { products: [], currentIndex: 0 } }
-
-// System Prompt
-const systemPrompt = {
-  role: "system",
-  content: `
--This GPT acts as a customer-facing assistant that responds on behalf of the business owner. It uses product data exported from SQL Server in Excel format—currently based on the file "app-items.xlsx"—and maps it to images or folders stored in Google Drive, based on naming conventions or product codes. The assistant uses the 'JewelCode' field as the SKU identifier when responding to product inquiries. It references the latest uploaded data (including "app-items.xlsx") to provide accurate product categories, subcategories, collections, styles, gold purity, prices, and availability. It can generate links to Google Drive images (if publicly accessible or with known link structure), or embed them directly if supported by the platform (e.g., WhatsApp). When using Google Drive image links, the assistant preserves the full URL from the 'Image URL' column—including any parameters like ?usp=drivesdk—to ensure correct embedding and access.
+// OpenAI by default; LLM_BASE_URL/LLM_MODEL point it at any compatible server, LLM_PROVIDER=mock runs offline
+const llm = createLLMProvider();
+
+// Voice notes and photos become searches (SPEECH_TO_TEXT_PROVIDER / VISION_PROVIDER, "none" to turn either off)
+const speechToText = createSpeechToTextProvider();
+const vision = createVisionProvider();
+
+// System Prompt for one store: its brand, opening hours and any instructions of its own
+function buildSystemPrompt({ brand, prompt, businessHours, catalogFile }) {
+  const socials = [["Instagram", brand.instagram], ["Facebook", brand.facebook], ["YouTube", brand.youtube]]
+    .filter(([, link]) => link)
+    .map(([name, link]) => `${name} (${link})`);
+  const brandFacts = [
+    brand.website && `The brand's official website is ${brand.website}.`,
+    socials.length > 0 && `It has a social presence on ${socials.join(", ")}.`,
+    brand.location && `This assistant represents the ${brand.name} store at ${brand.location}.`,
+    brand.note
+  ].filter(Boolean).join(" ");
+  const openingHours = describeBusinessHours(businessHours);
+
+  return `
+-This GPT acts as a customer-facing assistant that responds on behalf of the business owner. It uses product data exported from SQL Server in Excel format—currently based on the file "${path.basename(catalogFile)}"—and maps it to images or folders stored in Google Drive, based on naming conventions or product codes. The assistant uses the 'JewelCode' field as the SKU identifier when responding to product inquiries. It references the latest uploaded data (including "${path.basename(catalogFile)}") to provide accurate product categories, subcategories, collections, styles, gold purity, prices, and availability. It can generate links to Google Drive images (if publicly accessible or with known link structure), or embed them directly if supported by the platform (e.g., WhatsApp). When using Google Drive image links, the assistant preserves the full URL from the 'Image URL' column—including any parameters like ?usp=drivesdk—to ensure correct embedding and access.
 
 -The available product data includes: Product Category, Sub Category, Collection, JewelCode, Style, Gold Purity, Sale Price, Diamond Colour, Diamond Clarity, quality code, Gender Name, Qty, Gross Wt, Net Wt, Metal Amt, Dia Wt, Dia Amt, CS Wt, CS Amt, and Image URL. Use this comprehensive data to provide detailed product information to customers.
 
 -Responses are short, friendly, and optimized for messaging platforms like WhatsApp. If a customer asks for a type of product, it analyzes the uploaded Excel product data, filters relevant entries based on Product Category, Sub Category, Collection, Style, Gold Purity, Gender Name, or JewelCode, and responds with embedded product images and brief highlights such as category, subcategory, style, gold purity, and price—never using raw data tables. When explaining price differences or product details, the assistant summarizes relevant attributes in plain language rather than displaying data tables.
 
--If a customer inquires about buyback, the assistant will respond only if a policy has been shared in the context. Otherwise, it will politely guide them to contact the RK Jewellers store directly. The assistant also maintains a memory of pinned notes for internal guidance and can recall or refer to them when needed.
+-If a customer inquires about buyback, exchange, making charges, hallmarking or any other policy, the assistant calls getPolicy and responds only with a policy returned there. Otherwise, it will politely guide them to contact the ${brand.name} store directly. For other store questions (hours, FAQs) it uses getStoreInfo or searchKnowledge. The assistant also maintains a memory of pinned notes for internal guidance and can recall or refer to them when needed.
 
--The assistant also includes essential brand information in its responses where relevant. The brand's official website is rkjewellers.in, with social presence on Instagram (instagram.com/rkjewellers_southex2), Facebook (facebook.com/zeljewellers), and YouTube (https://www.youtube.com/@RKJewellers). Although many shops share the name RK Jewellers across India and New Delhi, this assistant represents the one and only flagship store located in South Extension, New Delhi.
+-The assistant also includes essential brand information in its responses where relevant. ${brandFacts}
+${openingHours ? `\n-The store is open ${openingHours}.\n` : ""}
+-The assistant strictly limits its responses to topics related to the uploaded product data, jewellery items, and the ${brand.name} brand. It does not respond to questions outside of this defined scope.
 
--The assistant strictly limits its responses to topics related to the uploaded product data, jewellery items, and the RK Jewellers brand. It does not respond to questions outside of this defined scope.
+-IMPORTANT: When the getProducts function is called, you MUST use the provided product data to give specific product recommendations. Do not make up or generate random product information. Only use the actual products returned by the function. If nothing matches, call suggestFallback with what the customer asked for and present those as the closest alternatives. When the customer wants more pieces like a specific JewelCode, call findSimilar.
 
--IMPORTANT: When the getProducts function is called, you MUST use the provided product data to give specific product recommendations. Do not make up or generate random product information. Only use the actual products returned by the function.
-`
-};
+-Customers often write in Hindi or Hinglish (e.g. "sone ki anguthi 50 hazaar tak"). When calling getProducts, translate product words to the catalog's English values (anguthi -> ring, jhumka -> earrings, haar -> necklace, kangan -> bangle) and put amounts in minPrice/maxPrice as rupees (hazaar = 1,000, lakh = 1,00,000).
 
-// OpenAI Tools Configuration
-const tools = [
-  {
-    type: "function",
-    function: {
-      name: "getProducts",
-      description: "Retrieve products matching the user query from the catalog.",
-      parameters: {
-        type: "object",
-        properties: { query: { type: "string", description: "Product-related query" } },
-        required: ["query"]
-      }
-    }
-  },
-  {
-    type: "function",
-    function: {
-      name: "suggestFallback",
-      description: "Retrieve top-3 suggestions when no exact match is found.",
-      parameters: { type: "object", properties: {}, required: [] }
-    }
-  }
-];
+-When a customer wants to act on a product, use the lead tools: saveToWishlist/getWishlist for "save this one", requestCallback for a call from the team, getAppointmentSlots then bookAppointment for a store visit (only offer slots that were returned), and placeHold to hold an in-stock piece. Confirm what was done and share the reference.
+${prompt ? `\n-Store-specific instructions: ${prompt}\n` : ""}`;
+}
+
+// Model Tools and the Agent Loop Limit
+const tools = TOOL_DEFINITIONS;
+const MAX_TOOL_ROUNDS = Number(process.env.MAX_TOOL_ROUNDS) || 3;
+const MAX_PRODUCTS_PER_REPLY = 6;
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // 📊 PRODUCT DATA MANAGEMENT
 // ═══════════════════════════════════════════════════════════════════════════════
 
-// Load Product Data from Excel
-function loadProductData() {
-  const filePath = path.join(__dirname, "uploads", "app-items.xlsx");
-  if (!fs.existsSync(filePath)) {
-    console.error("❌ Excel file not found:", filePath);
-    return [];
+// Live gold-rate pricing (rates posted daily through the admin API), shared by every store
+const pricing = createPricingService({ filePath: path.join(DATA_DIR, "pricing.json") });
+
+// Each store's catalog gets a semantic index (vectors cached in its data directory, rebuilt when the catalog changes)
+const embeddingProvider = createEmbeddingProvider();
+const SEMANTIC_MIN_SCORE = Number(process.env.SEMANTIC_MIN_SCORE) || 0.25;
+const MAX_SEMANTIC_RESULTS = 20;
+
+// Keyword, semantic and "more like this" search over one store's catalog
+function createProductSearch(catalog, semanticIndex) {
+  // Search Products by Free-Text Query and/or Structured Filters
+  function filterProducts(criteria) {
+    const productData = catalog.getProducts();
+    if (!productData || productData.length === 0) {
+      console.error("❌ No product data available");
+      return [];
+    }
+
+    console.log(`🔍 Searching for: ${JSON.stringify(criteria)} in ${productData.length} products`);
+    const results = searchProducts(productData, criteria, { priceOf: pricing.priceOf });
+    console.log(`📦 Found ${results.length} matching products`);
+    return results;
   }
 
-  try {
-    const workbook = xlsx.readFile(filePath);
-    const sheet = workbook.Sheets[workbook.SheetNames[0]];
-    const data = xlsx.utils.sheet_to_json(sheet);
-    console.log(`✅ Loaded ${data.length} products from Excel`);
-    return data;
-  } catch (error) {
-    console.error("❌ Error reading Excel file:", error);
-    return [];
+  // Products closest in meaning to the customer's description, within any structured filters
+  async function semanticSearchProducts(criteria, { limit = MAX_SEMANTIC_RESULTS, minScore = SEMANTIC_MIN_SCORE } = {}) {
+    const { minPrice, maxPrice, rest } = extractPriceRange(criteria.query);
+    const text = [rest, criteria.category, criteria.collection, criteria.style].filter(Boolean).join(" ").trim();
+    if (!text || !semanticIndex.isReady()) return [];
+
+    // Structured filters still apply; only the free text is matched by meaning
+    const allowed = new Set(searchProducts(catalog.getProducts(), {
+      ...criteria,
+      query: undefined,
+      minPrice: criteria.minPrice ?? minPrice,
+      maxPrice: criteria.maxPrice ?? maxPrice
+    }, { priceOf: pricing.priceOf }));
+
+    try {
+      const matches = await semanticIndex.search(text, { limit, filter: p => allowed.has(p) });
+      return matches.filter(m => m.score >= minScore).map(m => m.product);
+    } catch (err) {
+      console.error("❌ Semantic search failed:", err.message);
+      return [];
+    }
   }
-}
 
-// Filter Products by Query
-function filterProducts(query) {
-  if (!productData || productData.length === 0) {
-    console.error("❌ No product data available");
-    return [];
-  }
-
-  const lower = query.toLowerCase();
-  console.log(`🔍 Searching for: "${query}" in ${productData.length} products`);
-
-  const results = productData.filter(p => {
-    const category = (p["Product Category"] || "").toLowerCase();
-    const subCategory = (p["Sub Category"] || "").toLowerCase();
-    const collection = (p["Collection"] || "").toLowerCase();
-    const style = (p["Style"] || "").toLowerCase();
-    const goldPurity = (p["Gold Purity"] || "").toLowerCase();
-    const gender = (p["Gender Name"] || "").toLowerCase();
-    const jewelCode = (p["JewelCode"] || "").toLowerCase();
-    const price = parseInt(p["Sale Price"], 10) || 0;
-
-    // Check if any product field contains the search query
-    const hasKeyword = category.includes(lower) ||
-      subCategory.includes(lower) ||
-      collection.includes(lower) ||
-      style.includes(lower) ||
-      goldPurity.includes(lower) ||
-      gender.includes(lower) ||
-      jewelCode.includes(lower);
-
-    // Handle price filters (under/over)
-    const priceMatch = lower.match(/(under|over)\s*\u20B9?(\d+)/);
-    if (priceMatch) {
-      const num = parseInt(priceMatch[2], 10);
-      return hasKeyword && (priceMatch[1] === "under" ? price <= num : price >= num);
-    }
-
-    return hasKeyword;
-  });
+  // Keyword search first; descriptive queries with no keyword match fall back to semantic search
+  async function findProducts(criteria) {
+    const results = filterProducts(criteria);
+    if (results.length > 0 || !criteria.query) return results;
+
+    // "Anklets" when the store has none: nothing is closer in meaning, so don't pretend
+    const missing = missingProductTypes(catalog.getProducts(), criteria.query);
+    if (missing.length > 0) {
+      console.log(`🔍 Catalog has no ${missing.join(", ")}`);
+      return [];
+    }
 
-  console.log(`📦 Found ${results.length} matching products`);
-  return results;
+    const semantic = await semanticSearchProducts(criteria);
+    console.log(`🧠 Semantic search found ${semantic.length} products for "${criteria.query}"`);
+    return semantic;
+  }
+
+  // Suggestions when nothing matched: the closest products to the failed query,
+  // or the first rows of the sheet when there is no query or the index is not ready
+  async function suggestProducts(query) {
+    if (query) {
+      const closest = await semanticSearchProducts({ query }, { limit: 3, minScore: 0 });
+      if (closest.length > 0) return closest;
+    }
+    return catalog.getProducts().slice(0, 3);
+  }
+
+  // "More like this": nearest products in the same category, attribute match as a fallback
+  function similarProducts(product) {
+    const category = product["Product Category"];
+    const semantic = semanticIndex.similarTo(product, {
+      limit: MAX_SEMANTIC_RESULTS,
+      filter: p => p["Product Category"] === category
+    });
+    if (semantic.length > 0) return semantic.map(m => m.product);
+    return findSimilarProducts(catalog.getProducts(), product, { priceOf: pricing.priceOf });
+  }
+
+  return { findProducts, suggestProducts, similarProducts };
 }
 
-// Select Required Columns for AI Processing
-function selectColumns(rows) {
-  return rows.map(p => ({
-    jewelCode: p["JewelCode"],
-    category: p["Product Category"],
-    subCategory: p["Sub Category"],
-    collection: p["Collection"],
-    style: p["Style"],
-    goldPurity: p["Gold Purity"],
-    price: p["Sale Price"],
-    gender: p["Gender Name"],
-    grossWt: p["Gross Wt"],
-    netWt: p["Net Wt"],
-    diamondWt: p["Dia Wt"],
-    img: p["Image URL"]
-  }));
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📚 KNOWLEDGE BASE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Policies, store hours, FAQs and pinned notes, editable through the admin API
+const knowledgeBase = createKnowledgeBase({ filePath: path.join(DATA_DIR, "knowledge.json") });
+
+// Pinned notes travel with every conversation as internal guidance
+function buildPinnedNotesMessage() {
+  const notes = knowledgeBase.pinnedNotes();
+  if (notes.length === 0) return null;
+  return {
+    role: "system",
+    content: `Pinned notes for internal guidance (follow them, do not quote them verbatim):\n${notes.map(n => `- ${n.title}: ${n.content}`).join("\n")}`
+  };
 }
 
-// Get Top 3 Fallback Products
-function topFallback() {
-  return productData.slice(0, 3);
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📝 LEADS (wishlists, callbacks, appointments, holds)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const leads = createLeadStore({ filePath: path.join(DATA_DIR, "leads.json") });
+
+// The store a lead came in through
+const leadTenant = (lead) => tenants.get(lead.tenantId) || tenants.defaultTenant;
+
+// Staff hear about every new callback, appointment and hold request
+leads.onLead(lead => notifyStaff({ type: "lead_created", phone: lead.phone, lead }, { sendWhatsApp: leadTenant(lead).whatsapp.sendWhatsApp }));
+leads.onLead(lead => leadTenant(lead).analytics.record("lead", lead.phone, { leadType: lead.type }));
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📣 CONTACTS & CAMPAIGNS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Who messaged us, what they searched for and whether they opted in to broadcasts
+const contacts = createContactStore({ filePath: path.join(DATA_DIR, "contacts.json") });
+
+// Customers who replied STOP; nothing is sent to them until they reply START
+const optOuts = createOptOutList({ filePath: path.join(DATA_DIR, "opt-outs.json") });
+setOutboundGuard(to => !optOuts.has(to));
+
+// Template broadcasts to an audience of contacts, throttled (CAMPAIGN_MESSAGES_PER_SECOND)
+const campaigns = createCampaignService({
+  filePath: path.join(DATA_DIR, "campaigns.json"),
+  contacts,
+  sendTemplate: (phone, template, campaign) => (tenants.get(campaign.tenantId) || tenants.defaultTenant).whatsapp.sendWhatsAppTemplate(phone, template),
+  isOptedOut: optOuts.has
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🏬 TENANTS (one per showroom / WhatsApp number)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 24;
+
+// Store configs from TENANTS_DIR, or a single store from the environment (see lib/tenants.js)
+const tenantConfigs = loadTenantConfigs({
+  dir: process.env.TENANTS_DIR || path.join(__dirname, "tenants"),
+  appDir: __dirname,
+  dataDir: DATA_DIR
+});
+
+// Everything that is kept per store: catalog and search, sessions, analytics, handoff,
+// the WhatsApp number replies go out from, and the model's prompt and tools
+function createTenantRuntime(config) {
+  const catalog = createCatalogStore({ filePath: config.catalogFile, columns: config.columns });
+  const semanticIndex = createSemanticIndex({ provider: embeddingProvider, cacheDir: config.dataDir });
+  catalog.onChange(products => semanticIndex.rebuild(products));
+  const { findProducts, suggestProducts, similarProducts } = createProductSearch(catalog, semanticIndex);
+
+  const whatsapp = createWhatsAppClient(config);
+
+  // Conversation history and "show more" state per phone number
+  const sessionStore = createSessionStore({
+    type: process.env.SESSION_STORE || "file",
+    dir: path.join(config.dataDir, "sessions"),
+    ttlMs: SESSION_TTL_HOURS * 60 * 60 * 1000
+  });
+
+  return {
+    ...config,
+    catalog,
+    semanticIndex,
+    findProducts,
+    similarProducts,
+    whatsapp,
+    sessionStore,
+    // Structured conversation events, one JSON-lines file per day (ANALYTICS_RETENTION_DAYS)
+    analytics: createAnalytics({ dir: path.join(config.dataDir, "analytics") }),
+    // Requests made while the store is closed wait in handoff-queue.json until it opens
+    handoff: createHandoffService({
+      sessionStore,
+      sendWhatsApp: whatsapp.sendWhatsApp,
+      createEmptySession,
+      queueFile: path.join(config.dataDir, "handoff-queue.json")
+    }),
+    // Executes the model's tool calls against the catalog, knowledge base and lead store
+    runTool: createToolRunner({ catalog, findProducts, suggestProducts, similarProducts, knowledgeBase, pricing, leads, storeInfo: config }),
+    systemPrompt: { role: "system", content: buildSystemPrompt(config) }
+  };
 }
 
-// Initialize Product Data
-const productData = loadProductData();
+const tenants = createTenantRegistry({
+  tenants: tenantConfigs.tenants.map(createTenantRuntime),
+  fromEnv: tenantConfigs.fromEnv
+});
+contacts.assignLegacyContacts(tenants.defaultTenant.id);
+leads.assignLegacyLeads(tenants.defaultTenant.id);
+console.log(`🏬 Serving ${tenants.list().map(t => `${t.brand.name} (${t.id})`).join(", ")}`);
+
+// Sweep expired sessions (hourly, see start())
+async function purgeExpiredSessions() {
+  for (const tenant of tenants.list()) {
+    try {
+      const purged = await tenant.sessionStore.purgeExpired();
+      if (purged > 0) console.log(`🧹 Purged ${purged} expired sessions (${tenant.id})`);
+    } catch (err) {
+      console.error(`❌ Error purging expired sessions (${tenant.id}):`, err);
+    }
+  }
+}
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// 📱 WHATSAPP API FUNCTIONS
+// 🧹 DATA RETENTION
 // ═══════════════════════════════════════════════════════════════════════════════
 
-// Send WhatsApp Text Message
-async function sendWhatsApp(to, text) {
+// Conversation logs (analytics events), inactive contacts and closed leads older than this are deleted.
+// Sessions already expire after SESSION_TTL_HOURS; the opt-out list is never purged.
+const DATA_RETENTION_DAYS = Number(process.env.DATA_RETENTION_DAYS) || 180;
+
+// Runs at startup and daily (see start())
+function purgeOldData() {
   try {
-    // Ensure text is not empty and is a string
-    if (!text || typeof text !== 'string') {
-      console.error("❌ Invalid text message:", text);
-      return;
+    const files = tenants.list().reduce((sum, tenant) => sum + tenant.analytics.purge(), 0);
+    const removedContacts = contacts.purgeInactive(DATA_RETENTION_DAYS);
+    const removedLeads = leads.purgeClosed(DATA_RETENTION_DAYS);
+    if (files + removedContacts + removedLeads > 0) {
+      console.log(`🧹 Retention purge: ${files} analytics files, ${removedContacts} contacts, ${removedLeads} closed leads`);
     }
+  } catch (err) {
+    console.error("❌ Error purging old data:", err);
+  }
+}
 
-    // Ensure phone number is properly formatted (should start with country code)
-    if (!to || !to.match(/^\d+$/)) {
-      console.error("❌ Invalid phone number format:", to);
-      return;
-    }
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🚦 CUSTOMER THROTTLING
+// ═══════════════════════════════════════════════════════════════════════════════
 
-    const payload = {
-      messaging_product: "whatsapp",
-      recipient_type: "individual",
-      to: to,
-      type: "text",
-      text: {
-        preview_url: true,
-        body: text.substring(0, 4096) // WhatsApp has a 4096 character limit
-      }
-    };
+// Message rate and daily model-token budget per customer (CUSTOMER_* env vars, see lib/throttle.js)
+const throttle = createCustomerThrottle({ filePath: path.join(DATA_DIR, "token-usage.json") });
+const throttleKey = (tenant, from) => `${tenant.id}:${from}`;
 
-    const response = await axios.post(
-      `https://graph.facebook.com/${process.env.VERSION}/${process.env.PHONE_NUMBER_ID}/messages`,
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.WHATSAPP_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+// One polite reply per cooldown; nothing else the customer sends is handled until it ends
+async function sendCooldownReply(tenant, from, throttled) {
+  if (optOuts.has(from)) return;
+  tenant.analytics.record("throttled", from, { reason: "rate", strikes: throttled.strikes });
+  const session = await tenant.sessionStore.get(from);
+  await tenant.whatsapp.sendWhatsApp(from, t(session?.language, "slowDown"));
+}
 
-    console.log("✅ Message sent successfully:", response.data);
-    return response;
-  } catch (err) {
-    console.error("❌ Error sending WhatsApp message:", err.response?.data || err.message);
-    throw err;
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🙋 HUMAN HANDOFF
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// What the customer is told when their request is queued until the store opens
+function afterHoursReply(tenant, language, status) {
+  return status.nextOpen
+    ? t(language, "afterHoursHandoff", { brand: tenant.brand.name, opens: status.nextOpen.text })
+    : t(language, "closedHandoff", { brand: tenant.brand.name });
+}
+
+// Tell the customer a person will take over, then hand the chat to staff
+// (outside business hours the request is queued and staff hear about it at opening)
+async function escalateToStaff(tenant, from, session, reason, userQuery) {
+  const status = storeStatus(tenant.businessHours);
+  const reply = status.open
+    ? t(session.language, "staffConnecting", { brand: tenant.brand.name })
+    : afterHoursReply(tenant, session.language, status);
+  tenant.analytics.record("handoff", from, { reason, afterHours: !status.open });
+  await tenant.whatsapp.sendWhatsApp(from, reply);
+
+  if (userQuery) session.history.push({ role: "user", content: userQuery });
+  session.history.push({ role: "assistant", content: reply });
+  session.history = session.history.slice(-12);
+  await tenant.handoff.start(from, session, reason, userQuery, { queued: !status.open });
+}
+
+// Notify staff of requests queued overnight once their store opens (checked every minute, see start())
+async function releaseQueuedHandoffs() {
+  for (const tenant of tenants.list()) {
+    if (tenant.handoff.listQueued().length === 0 || !storeStatus(tenant.businessHours).open) continue;
+    try {
+      const released = await tenant.handoff.releaseQueued();
+      console.log(`🌅 ${tenant.brand.name} is open: released ${released} queued handoff(s)`);
+    } catch (err) {
+      console.error(`❌ Error releasing queued handoffs (${tenant.id}):`, err);
+    }
   }
 }
 
+// Per-turn note so the model knows the store is closed right now
+function storeClosedNote(tenant) {
+  const status = storeStatus(tenant.businessHours);
+  if (status.open) return null;
+  const reason = status.holiday ? ` for ${status.holiday.name || "a holiday"}` : "";
+  const opens = status.nextOpen ? ` It opens again ${status.nextOpen.text}.` : "";
+  return {
+    role: "system",
+    content: `The store is closed right now${reason}.${opens} Keep helping with the collection. If the customer wants a call, a visit or to speak to staff, use requestCallback or the appointment tools and say the team will get back to them after the store opens; do not promise an immediate reply.`
+  };
+}
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // 🧠 AI MESSAGE PROCESSING
 // ═══════════════════════════════════════════════════════════════════════════════
 
 // Process User Message with AI
-async function processUserMessage(from, userQuery) {
+async function processUserMessage(tenant, from, userQuery) {
+  let language = "en";
   try {
-    // Initialize conversation history if not exists
-    if (!userConversations[from]) {
-      userConversations[from] = [];
-    }
+    // Load the customer's session (or start a new one)
+    const session = (await tenant.sessionStore.get(from)) || createEmptySession();
 
-    const history = userConversations[from].slice(-6); // Keep last 6 messages
-    const messages = [systemPrompt, ...history, { role: "user", content: userQuery }];
+    // Reply in the customer's language; short messages keep the remembered one
+    session.language = detectLanguage(userQuery) || session.language || "en";
+    language = session.language;
 
-    // First call to OpenAI
-    const first = await openai.chat.completions.create({
-      model: MODEL,
-      messages,
-      tools,
-      tool_choice: "auto"
-    });
+    // Staff are handling this conversation: record it for them, no AI reply
+    if (isInHandoff(session)) {
+      return await tenant.handoff.recordCustomerMessage(from, session, userQuery);
+    }
 
-    const choice = first.choices[0].message;
-    let assistantResponse = "";
-    let productsToSend = [];
+    // Explicit requests for a person and purchase/reservation intent go to staff
+    const escalation = detectEscalation(userQuery);
+    if (escalation) {
+      return await escalateToStaff(tenant, from, session, escalation, userQuery);
+    }
 
     // Check if user is asking for more products
-    const askingForMore = userQuery.toLowerCase().match(/more|next|show more|continue|additional/);
-
-    if (askingForMore && userProductResults[from]) {
-      // User is asking for more products and has previous results
-      const { products, currentIndex } = userProductResults[from];
-      if (currentIndex < products.length) {
-        const nextBatch = products.slice(currentIndex, currentIndex + 3);
-        productsToSend = nextBatch;
-        userProductResults[from].currentIndex += 3;
-
-        const remaining = products.length - (currentIndex + 3);
-        assistantResponse = `Here are more products! ${remaining > 0 ? `\n\nThere are ${remaining} more items available. Type "show more" to see more products.` : '\n\nThat\'s all the products we have!'}`;
-
-        // Skip OpenAI call since we're just showing more products
-        return await sendMessageResponses(from, assistantResponse, productsToSend);
-      } else {
-        assistantResponse = "I've shown you all the available products. Would you like to search for something else?";
-        return await sendWhatsApp(from, assistantResponse);
-      }
+    const askingForMore = SHOW_MORE_PATTERN.test(userQuery);
+
+    if (askingForMore && session.productResults) {
+      // Skip OpenAI call since we're just showing more products
+      return await showMoreProducts(tenant, from, session);
     }
 
-    if (choice.tool_calls && choice.tool_calls.length > 0) {
-      const toolCall = choice.tool_calls[0];
-      const { name, arguments: argsJSON } = toolCall.function;
-      let functionResult;
+    // Today's model budget for this customer is spent: fixed reply, no model call
+    const key = throttleKey(tenant, from);
+    if (!throttle.hasTokenBudget(key)) {
+      console.log(`🚦 Daily token budget reached for ${from} (${throttle.tokensUsed(key)} tokens)`);
+      tenant.analytics.record("throttled", from, { reason: "tokens" });
+      return await tenant.whatsapp.sendWhatsApp(from, t(language, "tokenBudget", { brand: tenant.brand.name }));
+    }
 
-      console.log(`🔧 Function called: ${name} with args: ${argsJSON}`);
+    const history = session.history.slice(-6); // Keep last 6 messages
+    const pinnedNotes = buildPinnedNotesMessage();
+    const languageNote = { role: "system", content: languageInstruction(language) };
+    const closedNote = storeClosedNote(tenant);
+    const messages = [tenant.systemPrompt, ...(pinnedNotes ? [pinnedNotes] : []), languageNote, ...(closedNote ? [closedNote] : []), ...history, { role: "user", content: userQuery }];
 
-      if (name === "getProducts") {
-        const { query } = JSON.parse(argsJSON);
-        const allMatches = filterProducts(query);
+    // First call to the model
+    const first = await llm.complete({ messages, tools, toolChoice: "auto" });
+    throttle.recordTokens(key, first.usage);
 
-        if (allMatches.length === 0) {
-          functionResult = JSON.stringify({ message: "No products found matching your query." });
-          // Clear stored results for this user
-          delete userProductResults[from];
-        } else {
-          const matches = selectColumns(allMatches.slice(0, MAX_ROWS_TO_MODEL));
-          functionResult = JSON.stringify({ products: matches });
-          productsToSend = allMatches.slice(0, 3);
-
-          // Store all results for pagination
-          userProductResults[from] = {
-            products: allMatches,
-            currentIndex: 3
-          };
-
-          // Add information about remaining products
-          if (allMatches.length > 3) {
-            functionResult = JSON.stringify({
-              products: matches,
-              remaining: allMatches.length - 3
-            });
-          }
-        }
-      } else if (name === "suggestFallback") {
-        const fallback = selectColumns(topFallback());
-        functionResult = JSON.stringify({ products: fallback });
-        productsToSend = topFallback();
-        // Clear stored results for fallback
-        delete userProductResults[from];
+    let reply = first.message;
+    let assistantResponse = "";
+    let productsToSend = [];
+    let rounds = 0;
+    let calledTools = false;
+    const resultSets = [];
+    const turn = { phone: from }; // shared by this turn's tool calls (e.g. the last query that found nothing)
+    let clearResults = false;
+    let searchMissed = false;
+
+    // Agent loop: run every tool call in the turn, feed results back, repeat up to MAX_TOOL_ROUNDS
+    while (reply.tool_calls && reply.tool_calls.length > 0) {
+      rounds++;
+      calledTools = true;
+      messages.push(reply);
+
+      for (const toolCall of reply.tool_calls) {
+        const { name, arguments: argsJSON } = toolCall.function;
+        console.log(`🔧 Function called: ${name} with args: ${argsJSON}`);
+
+        const outcome = await tenant.runTool(name, argsJSON, turn);
+        recordToolCall(tenant, from, name, argsJSON, outcome);
+        if (outcome.showProducts) productsToSend.push(...outcome.showProducts);
+        if (outcome.resultSet) resultSets.push(outcome.resultSet);
+        if (outcome.resultSet === null) clearResults = true;
+        if (outcome.searchMissed) searchMissed = true;
+
+        // Every tool call needs its own tool message, matched by id
+        messages.push({
+          role: "tool",
+          content: JSON.stringify(outcome.result),
+          tool_call_id: toolCall.id
+        });
       }
 
-      // Add function call and result to message history
-      messages.push(choice);
-      messages.push({
-        role: "tool",
-        content: functionResult,
-        tool_call_id: toolCall.id
+      // Follow-up call to the model; on the last allowed round it must answer in text
+      const next = await llm.complete(rounds < MAX_TOOL_ROUNDS
+        ? { messages, tools, toolChoice: "auto" }
+        : { messages });
+      throttle.recordTokens(key, next.usage);
+      reply = next.message;
+    }
+
+    // Send each product once, in the order the tools returned them
+    const seenCodes = new Set();
+    productsToSend = productsToSend.filter(p => {
+      const key = p["JewelCode"] || p;
+      if (seenCodes.has(key)) return false;
+      seenCodes.add(key);
+      return true;
+    }).slice(0, MAX_PRODUCTS_PER_REPLY);
+
+    if (resultSets.length > 0) {
+      // Combine every search of this turn for pagination: products already sent first
+      const combined = [...productsToSend];
+      resultSets.flat().forEach(p => {
+        if (!combined.includes(p)) combined.push(p);
       });
+      session.productResults = { products: combined, currentIndex: productsToSend.length };
+      session.failedSearches = 0;
+    } else if (clearResults) {
+      // Clear stored results for this user
+      session.productResults = null;
+    }
 
-      // Second call to OpenAI
-      const second = await openai.chat.completions.create({ model: MODEL, messages });
-      assistantResponse = second.choices[0].message.content.trim();
+    if (searchMissed && resultSets.length === 0) {
+      session.failedSearches = (session.failedSearches || 0) + 1;
+    }
+
+    if (calledTools) {
+      assistantResponse = (reply.content || "").trim() || t(language, productsToSend.length ? "found" : "notFound");
 
       // Add information about more products if available
-      if (userProductResults[from] && userProductResults[from].products.length > 3) {
-        const remaining = userProductResults[from].products.length - 3;
-        assistantResponse += `\n\nI found ${remaining} more items matching your search. Type "show more" to see more products.`;
+      if (resultSets.length > 0) {
+        const remaining = session.productResults.products.length - session.productResults.currentIndex;
+        if (remaining > 0) {
+          assistantResponse += `\n\n${t(language, "moreAvailable", { count: remaining })}`;
+        }
       }
-
+    } else if (askingForMore) {
+      assistantResponse = t(language, "searchFirst");
     } else {
-      if (askingForMore) {
-        assistantResponse = "Please search for products first before asking to see more.";
-      } else {
-        assistantResponse = choice.content?.trim() || "🙏 Sorry, I didn't understand that. Please ask about a product.";
-      }
+      assistantResponse = reply.content?.trim() || t(language, "notUnderstood");
     }
 
     console.log(`🤖 AI Response: "${assistantResponse}"`);
     console.log(`📦 Products to send: ${productsToSend.length}`);
 
+    // Remember what was searched for, for campaign audiences
+    contacts.recordSearches(from, turn.searches, { tenantId: tenant.id });
+
     // Send replies to user
-    await sendMessageResponses(from, assistantResponse, productsToSend);
+    await sendMessageResponses(tenant, from, assistantResponse, productsToSend, language);
 
     // Save conversation history (keep last 12 messages)
-    userConversations[from].push({ role: "user", content: userQuery });
-    userConversations[from].push({ role: "assistant", content: assistantResponse });
-    userConversations[from] = userConversations[from].slice(-12);
+    session.history.push({ role: "user", content: userQuery });
+    session.history.push({ role: "assistant", content: assistantResponse });
+    session.history = session.history.slice(-12);
+    await tenant.sessionStore.save(from, session);
+
+    // Several searches in a row came up empty: bring in staff
+    if (session.failedSearches >= FAILED_SEARCH_LIMIT) {
+      await escalateToStaff(tenant, from, session, HANDOFF_REASONS.FAILED_SEARCHES);
+    }
 
   } catch (err) {
     console.error("❌ Error processing user message:", err);
-    await sendWhatsApp(from, "🙏 Sorry, I encountered an error processing your message. Please try again.");
+    tenant.analytics.record("error", from, { where: "processUserMessage", message: err.message });
+    await tenant.whatsapp.sendWhatsApp(from, t(language, "error"));
   }
 }
 
+// Log a tool call, and catalog searches with their result count
+const SEARCH_TOOLS = new Set(["getProducts", "findSimilar"]);
+
+function recordToolCall(tenant, from, name, argsJSON, outcome) {
+  let args;
+  try {
+    args = argsJSON ? JSON.parse(argsJSON) : {};
+  } catch (err) {
+    args = { raw: argsJSON };
+  }
+  tenant.analytics.record("tool_call", from, { name, args });
+  if (SEARCH_TOOLS.has(name)) {
+    tenant.analytics.record("search", from, { tool: name, criteria: args, resultCount: outcome.resultSet ? outcome.resultSet.length : 0 });
+  }
+}
+
+// Show the Next Page of Stored Search Results
+async function showMoreProducts(tenant, from, session) {
+  tenant.analytics.record("show_more", from);
+  const { products, currentIndex } = session.productResults;
+  const language = session.language || "en";
+
+  if (currentIndex >= products.length) {
+    return await tenant.whatsapp.sendWhatsApp(from, t(language, "nothingLeft"));
+  }
+
+  const productsToSend = products.slice(currentIndex, currentIndex + PRODUCTS_PER_PAGE);
+  session.productResults.currentIndex += PRODUCTS_PER_PAGE;
+  await tenant.sessionStore.save(from, session);
+
+  const remaining = products.length - (currentIndex + PRODUCTS_PER_PAGE);
+  const assistantResponse = `${t(language, "moreHere")}\n\n${remaining > 0 ? t(language, "moreRemaining", { count: remaining }) : t(language, "allShown")}`;
+  return await sendMessageResponses(tenant, from, assistantResponse, productsToSend, language);
+}
+
 // Send Message Responses (Text + Products)
-async function sendMessageResponses(from, assistantResponse, productsToSend) {
+async function sendMessageResponses(tenant, from, assistantResponse, productsToSend, language) {
   if (productsToSend.length) {
+    tenant.analytics.record("products_shown", from, {
+      products: productsToSend.map(p => ({ jewelCode: p["JewelCode"], category: p["Product Category"], price: pricing.priceOf(p) }))
+    });
+
     // Send text response first
-    await sendWhatsApp(from, assistantResponse);
+    await tenant.whatsapp.sendWhatsApp(from, assistantResponse);
 
-    // Then send products with images
+    // Then send one card per product (image + caption + buttons)
     for (const p of productsToSend) {
-      const category = p["Product Category"] || "Jewelry";
-      const subCategory = p["Sub Category"] || "";
-      const collection = p["Collection"] || "";
-      const style = p["Style"] || "";
-      const price = p["Sale Price"] ? `₹${p["Sale Price"]}` : "Price not available";
-      const jewelCode = p["JewelCode"] || "";
-      const goldPurity = p["Gold Purity"] || "";
-      const gender = p["Gender Name"] || "";
-      const grossWt = p["Gross Wt"] || "";
-
-      let productText = `✨ *${category}`;
-      if (subCategory) productText += ` - ${subCategory}`;
-      productText += `*\n💰 ${price}`;
-      if (jewelCode) productText += `\n🏷️ Code: ${jewelCode}`;
-      if (style) productText += `\n🎨 Style: ${style}`;
-      if (goldPurity) productText += `\n⚡ Gold: ${goldPurity}`;
-      if (gender) productText += `\n👤 Gender: ${gender}`;
-      if (collection) productText += `\n💎 Collection: ${collection}`;
-      if (grossWt) productText += `\n⚖️ Weight: ${grossWt}gm`;
-
-      await sendWhatsApp(from, productText);
-
-      // Send image if available
-      if (p["Image URL"]) {
-        const displayName = `${category}${subCategory ? ' - ' + subCategory : ''}`;
-        await sendWhatsAppImage(from, p["Image URL"], displayName);
-      }
+      await tenant.whatsapp.sendProductCard(from, pricing.withLivePrice(p), { language });
     }
   } else {
     // Send only text response
-    await sendWhatsApp(from, assistantResponse);
+    await tenant.whatsapp.sendWhatsApp(from, assistantResponse);
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🎛️ INTERACTIVE REPLIES & NON-TEXT MESSAGES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Handle a Button/List Reply Without a Model Round-Trip
+async function handleIntent(tenant, from, intent) {
+  console.log(`🎛️ Intent from ${from}: ${intent.type}${intent.jewelCode ? ` (${intent.jewelCode})` : ""}`);
+  const session = (await tenant.sessionStore.get(from)) || createEmptySession();
+
+  if (intent.type === INTENTS.SHOW_MORE) {
+    if (!session.productResults) {
+      return await tenant.whatsapp.sendWhatsApp(from, t(session.language, "searchFirst"));
+    }
+    return await showMoreProducts(tenant, from, session);
+  }
+
+  if (intent.type === INTENTS.TALK_TO_STAFF) {
+    if (isInHandoff(session)) {
+      const reply = session.handoff.status === "queued"
+        ? afterHoursReply(tenant, session.language, storeStatus(tenant.businessHours))
+        : t(session.language, "staffPending");
+      return await tenant.whatsapp.sendWhatsApp(from, reply);
+    }
+    return await escalateToStaff(tenant, from, session, HANDOFF_REASONS.CUSTOMER_REQUEST);
+  }
+
+  const product = tenant.catalog.findByCode(intent.jewelCode);
+  if (!product) {
+    return await tenant.whatsapp.sendWhatsApp(from, t(session.language, "productMissing", { code: intent.jewelCode || "(missing)" }));
+  }
+
+  if (intent.type === INTENTS.PRODUCT_DETAILS) {
+    const details = formatProductDetails(pricing.withLivePrice(product), session.language);
+    if (product["Image URL"]) {
+      try {
+        return await tenant.whatsapp.sendWhatsAppImage(from, product["Image URL"], details);
+      } catch (err) {
+        console.log(`⚠️ Image failed for ${product["JewelCode"]}, sending details as text`);
+      }
+    }
+    return await tenant.whatsapp.sendWhatsApp(from, details);
+  }
+
+  if (intent.type === INTENTS.MORE_LIKE_THIS) {
+    const similar = tenant.similarProducts(product);
+    if (similar.length === 0) {
+      return await tenant.whatsapp.sendWhatsApp(from, t(session.language, "noSimilar", { code: product["JewelCode"] }));
+    }
+
+    // Similar items become the customer's current result set, so "show more" pages through them
+    session.productResults = { products: similar, currentIndex: PRODUCTS_PER_PAGE };
+    await tenant.sessionStore.save(from, session);
+
+    const remaining = similar.length - PRODUCTS_PER_PAGE;
+    const text = `${t(session.language, "similarHere", { code: product["JewelCode"] })}${remaining > 0 ? `\n\n${t(session.language, "moreRemaining", { count: remaining })}` : ""}`;
+    return await sendMessageResponses(tenant, from, text, similar.slice(0, PRODUCTS_PER_PAGE), session.language);
+  }
+
+  if (intent.type === INTENTS.ENQUIRE) {
+    const text = t(session.language, "enquire", { product: product["Product Category"] || t(session.language, "thisPiece"), code: product["JewelCode"] });
+    try {
+      return await tenant.whatsapp.sendWhatsAppButtons(from, text, [
+        { id: `${INTENTS.PRODUCT_DETAILS}:${product["JewelCode"]}`, title: t(session.language, "detailsButton") },
+        { id: `${INTENTS.SAVE_TO_WISHLIST}:${product["JewelCode"]}`, title: t(session.language, "wishlistButton") },
+        { id: INTENTS.TALK_TO_STAFF, title: t(session.language, "staffButton") }
+      ]);
+    } catch (err) {
+      return await tenant.whatsapp.sendWhatsApp(from, text);
+    }
+  }
+
+  if (intent.type === INTENTS.SAVE_TO_WISHLIST) {
+    const { added, full } = leads.addToWishlist(from, product["JewelCode"], { tenantId: tenant.id });
+    const key = added ? "wishlistSaved" : full ? "wishlistFull" : "wishlistHas";
+    return await tenant.whatsapp.sendWhatsApp(from, t(session.language, key, { code: product["JewelCode"] }));
+  }
+}
+
+// Turn a voice note or photo into the search the customer would have typed ("" if we can't)
+async function mediaToQuery(tenant, from, inbound) {
+  const { buffer, mimeType } = await tenant.whatsapp.downloadMedia(inbound.mediaId);
+
+  if (inbound.mediaType === "audio") {
+    const transcript = await speechToText.transcribe({ buffer, mimeType: mimeType || inbound.mimeType });
+    console.log(`🎙️ Voice note from ${from} transcribed: "${transcript}"`);
+    return transcript;
+  }
+
+  // Photos: describe the piece, then keep the words that name catalog categories, styles and collections
+  const products = tenant.catalog.getProducts();
+  const description = await vision.describe({ buffer, mimeType: mimeType || inbound.mimeType, vocabulary: catalogVocabulary(products) });
+  const { query } = matchCatalogTerms(description, products);
+  console.log(`📸 Photo from ${from} described as "${description}", matched "${query}"`);
+  return [inbound.caption, query].filter(Boolean).join(" ");
+}
+
+// Voice Notes and Photos: answered as if the customer had typed the search
+async function handleMediaMessage(tenant, from, inbound) {
+  const isAudio = inbound.mediaType === "audio";
+  const provider = isAudio ? speechToText : vision;
+  const session = await tenant.sessionStore.get(from);
+  const language = detectLanguage(inbound.caption) || session?.language || "en";
+
+  if (!provider) {
+    return await tenant.whatsapp.sendWhatsApp(from, t(language, isAudio ? "voiceUnsupported" : "photoUnsupported"));
+  }
+
+  let query = "";
+  try {
+    query = await mediaToQuery(tenant, from, inbound);
+  } catch (err) {
+    console.error(`❌ Error reading ${inbound.mediaType} from ${from}:`, err.message);
+    tenant.analytics.record("error", from, { where: `media:${inbound.mediaType}`, message: err.message });
+  }
+  tenant.analytics.record("media", from, { mediaType: inbound.mediaType, provider: provider.name, query: query || null });
+
+  if (!query) {
+    return await tenant.whatsapp.sendWhatsApp(from, t(language, isAudio ? "voiceUnclear" : "photoUnmatched"));
+  }
+
+  console.log(`📨 Processing ${inbound.mediaType} message from ${from} (${tenant.id}) as: "${query}"`);
+  return await processUserMessage(tenant, from, query);
+}
+
+// Friendly Replies for Messages We Cannot Read as Text
+async function handleNonTextMessage(tenant, from, inbound) {
+  if (inbound.kind === "reaction") {
+    return; // Emoji reactions need no reply
+  }
+  const language = (await tenant.sessionStore.get(from))?.language;
+
+  if (inbound.kind === "location") {
+    const where = tenant.brand.location ? t(language, "locationIn", { location: tenant.brand.location }) : "";
+    return await tenant.whatsapp.sendWhatsApp(from, t(language, "locationShared", { brand: tenant.brand.name, where }));
+  }
+
+  if (inbound.kind === "media" && (inbound.mediaType === "audio" || inbound.mediaType === "image")) {
+    return await handleMediaMessage(tenant, from, inbound);
+  }
+
+  console.log(`⚠️ Unsupported message type: ${inbound.mediaType || inbound.type} from ${from}`);
+  return await tenant.whatsapp.sendWhatsApp(from, t(language, "textOnly"));
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // 🌐 WEBHOOK ROUTES
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -419,75 +789,745 @@ app.get("/webhook", (req, res) => {
   }
 });
 
-// Webhook Message Receiver (POST)
-app.post("/webhook", async (req, res) => {
+// Meta retries deliveries it thinks failed; remember message IDs for a while to drop repeats
+const processedMessageIds = createTtlCache({ ttlMs: 24 * 60 * 60 * 1000, maxEntries: 10000 });
+
+// Messages from the same customer are handled one at a time, in order
+const messageQueue = createKeyedQueue();
+
+// STOP / START keywords: confirm, then update the opt-out list (STOP also withdraws
+// broadcast consent; START does not grant it)
+async function handleConsentKeyword(tenant, from, keyword, text) {
+  const session = await tenant.sessionStore.get(from);
+  const language = detectLanguage(text) || session?.language || "en";
+
+  if (keyword === "stop") {
+    // The confirmation has to go out before the opt-out blocks it
+    if (!optOuts.has(from)) {
+      try {
+        await tenant.whatsapp.sendWhatsApp(from, t(language, "optedOut", { brand: tenant.brand.name }));
+      } catch (err) {
+        console.error("❌ Error sending opt-out confirmation:", err.message);
+      }
+    }
+    optOuts.add(from, "keyword");
+    contacts.setOptIn(from, false);
+    console.log(`✋ ${from} opted out`);
+    return;
+  }
+
+  optOuts.remove(from);
+  console.log(`✅ ${from} lifted their opt-out`);
+  await tenant.whatsapp.sendWhatsApp(from, t(language, "optedIn", { brand: tenant.brand.name }));
+}
+
+// Handle One Inbound Message
+async function handleInboundMessage(tenant, msg) {
+  const from = msg.from;
+
   try {
-    // Optional debug logging
-    if (process.env.DEBUG === 'true') {
-      console.log("📥 Full webhook payload:", JSON.stringify(req.body, null, 2));
+    const inbound = parseInboundMessage(msg);
+
+    const keyword = inbound.kind === "text" ? parseConsentKeyword(inbound.text) : null;
+    if (keyword) {
+      return await handleConsentKeyword(tenant, from, keyword, inbound.text);
+    }
+
+    // Opted-out customers get no replies, and nothing they send is kept
+    if (optOuts.has(from)) {
+      console.log(`✋ Ignoring message from opted-out customer ${from}`);
+      return;
+    }
+
+    tenant.analytics.record("inbound", from, {
+      kind: inbound.kind,
+      text: inbound.text || inbound.caption || null,
+      intent: inbound.intent?.type || null,
+      mediaType: inbound.mediaType || null
+    });
+
+    if (inbound.kind === "intent") {
+      // Button and list replies are routed directly
+      return await handleIntent(tenant, from, inbound.intent);
+    }
+
+    if (inbound.kind !== "text") {
+      return await handleNonTextMessage(tenant, from, inbound);
     }
 
-    const entry = req.body?.entry?.[0];
-    const changes = entry?.changes?.[0];
-    const value = changes?.value;
+    const userQuery = inbound.text;
+
+    if (!userQuery) {
+      console.log("⚠️ Missing message text");
+      return;
+    }
+
+    console.log(`📨 Processing text message from ${from} (${tenant.id}): "${userQuery}"`);
+
+    // Process the message
+    await processUserMessage(tenant, from, userQuery);
+
+  } catch (err) {
+    console.error("❌ Error handling message:", err);
+    tenant.analytics.record("error", from, { where: "handleInboundMessage", message: err.message });
 
-    // Handle different webhook event types
-    if (!entry || !changes || !value) {
-      console.log("⚠️ Not a valid webhook entry structure");
-      return res.sendStatus(200);
+    // Try to send error message to user
+    try {
+      const session = await tenant.sessionStore.get(from).catch(() => null);
+      await tenant.whatsapp.sendWhatsApp(from, t(session?.language, "technicalError"));
+    } catch (sendErr) {
+      console.error("❌ Error sending error message:", sendErr);
     }
+  }
+}
+
+// Webhook Message Receiver (POST)
+app.post("/webhook", verifyWebhookSignature, (req, res) => {
+  // Acknowledge straight away so Meta does not retry while we are still replying
+  res.sendStatus(200);
+
+  // Optional debug logging
+  if (process.env.DEBUG === 'true') {
+    console.log("📥 Full webhook payload:", JSON.stringify(req.body, null, 2));
+  }
+
+  const changes = (req.body?.entry || []).flatMap(entry => entry?.changes || []);
+  const values = changes.map(change => change?.value).filter(Boolean);
+
+  // Handle different webhook event types
+  if (values.length === 0) {
+    console.log("⚠️ Not a valid webhook entry structure");
+    return;
+  }
 
+  for (const value of values) {
     // Check for messages
     if (value.messages && value.messages.length > 0) {
-      const msg = value.messages[0];
-      const from = msg.from;
-
-      // Only process text messages
-      if (msg.type !== "text") {
-        console.log(`⚠️ Unsupported message type: ${msg.type} from ${from}`);
-        if (from) {
-          await sendWhatsApp(from, "I can only process text messages at the moment. Please send me a text message about jewelry products.");
-        }
-        return res.sendStatus(200);
+      // Route to the store whose WhatsApp number received the messages
+      const tenant = tenants.resolve(value.metadata?.phone_number_id);
+      if (!tenant) {
+        console.log(`⚠️ No tenant configured for phone number ID ${value.metadata?.phone_number_id}; ${value.messages.length} message(s) ignored`);
+        continue;
       }
 
-      const userQuery = msg.text?.body?.trim();
+      for (const msg of value.messages) {
+        if (!msg.from) {
+          console.log("⚠️ Missing sender");
+          continue;
+        }
 
-      if (!from || !userQuery) {
-        console.log("⚠️ Missing sender or message text");
-        return res.sendStatus(200);
-      }
+        if (msg.id && !processedMessageIds.add(msg.id)) {
+          console.log(`🔁 Duplicate delivery ignored: ${msg.id}`);
+          continue;
+        }
 
-      console.log(`📨 Processing text message from ${from}: "${userQuery}"`);
+        if (!optOuts.has(msg.from)) {
+          const profileName = value.contacts?.find(c => c.wa_id === msg.from)?.profile?.name;
+          contacts.recordInbound(msg.from, { name: profileName, tenantId: tenant.id });
+        }
+
+        // Counted on arrival, per customer; STOP / START always get through
+        const key = throttleKey(tenant, msg.from);
+        const throttled = parseConsentKeyword(msg.text?.body) ? { allowed: true } : throttle.checkMessage(key);
+        if (!throttled.allowed) {
+          if (throttled.notify) {
+            messageQueue.enqueue(key, () => sendCooldownReply(tenant, msg.from, throttled));
+          } else {
+            console.log(`🚦 Dropped message from ${msg.from} (cooling down until ${throttled.until})`);
+          }
+          continue;
+        }
 
-      // Process the message
-      await processUserMessage(from, userQuery);
+        messageQueue.enqueue(key, () => handleInboundMessage(tenant, msg));
+      }
 
     } else if (value.statuses && value.statuses.length > 0) {
       // Handle status updates (delivery, read receipts, etc.)
-      const status = value.statuses[0];
-      console.log(`📋 Status update: ${status.status} for message ${status.id}`);
+      for (const status of value.statuses) {
+        const error = status.errors?.[0];
+        const isCampaignMessage = campaigns.recordStatus(status);
+        contacts.recordDelivery(status.recipient_id, {
+          messageId: status.id,
+          status: status.status,
+          at: status.timestamp ? new Date(Number(status.timestamp) * 1000).toISOString() : new Date().toISOString(),
+          error: error ? `${error.code}: ${error.title || error.message}` : null
+        });
+
+        if (status.status === "failed") {
+          console.error(`❌ Message ${status.id} to ${status.recipient_id} failed:`, error?.title || error?.message || "unknown error");
+        } else {
+          console.log(`📋 Status update: ${status.status} for message ${status.id}${isCampaignMessage ? " (campaign)" : ""}`);
+        }
+      }
 
     } else {
       console.log("⚠️ Unknown webhook event type:", Object.keys(value));
     }
+  }
+});
 
-    res.sendStatus(200);
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🔐 ADMIN ROUTES
+// ═══════════════════════════════════════════════════════════════════════════════
 
-  } catch (err) {
-    console.error("❌ Error in webhook:", err);
+// Catalog uploads are kept in memory and only written to disk after validation
+const catalogUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }, // 20 MB
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname || "").toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+      return cb(new Error(`Unsupported file type "${ext}". Upload one of: ${SUPPORTED_EXTENSIONS.join(", ")}`));
+    }
+    cb(null, true);
+  }
+});
+
+// The store an admin request is about: ?tenant=<id>, or the first configured store
+function tenantFor(req, res) {
+  const tenant = req.query.tenant ? tenants.get(req.query.tenant) : tenants.defaultTenant;
+  if (!tenant) {
+    res.status(404).json({ error: `Unknown tenant "${req.query.tenant}" (configured: ${tenants.list().map(t => t.id).join(", ")})` });
+  }
+  return tenant;
+}
+
+// A product from whichever store's catalog carries it
+function findProductInAnyCatalog(jewelCode) {
+  for (const tenant of tenants.list()) {
+    const product = tenant.catalog.findByCode(jewelCode);
+    if (product) return product;
+  }
+  return null;
+}
+
+// Configured stores (tokens are never returned)
+app.get("/admin/tenants", requireAdmin, (req, res) => {
+  res.json({
+    tenants: tenants.list().map(t => ({
+      id: t.id,
+      phoneNumberId: t.phoneNumberId,
+      brand: t.brand,
+      businessHours: t.businessHours,
+      columns: t.columns,
+      catalog: t.catalog.getInfo().current,
+      tokenConfigured: !!t.token
+    }))
+  });
+});
+
+// Opening hours, holidays and whether the store is open now (?tenant=<id>)
+app.get("/admin/business-hours", requireAdmin, (req, res) => {
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+  res.json({
+    businessHours: tenant.businessHours,
+    description: describeBusinessHours(tenant.businessHours),
+    status: storeStatus(tenant.businessHours),
+    upcomingHolidays: upcomingHolidays(tenant.businessHours),
+    queuedHandoffs: tenant.handoff.listQueued()
+  });
+});
+
+// Current and previous catalog versions (?tenant=<id> on every catalog route)
+app.get("/admin/catalog", requireAdmin, (req, res) => {
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+  res.json(tenant.catalog.getInfo());
+});
+
+// Upload a new catalog workbook (multipart field "file") and hot-swap it in
+app.post("/admin/catalog", requireAdmin, (req, res) => {
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+  catalogUpload.single("file")(req, res, (uploadErr) => {
+    if (uploadErr) {
+      console.error("❌ Catalog upload rejected:", uploadErr.message);
+      return res.status(400).json({ error: uploadErr.message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: "No file uploaded. Send the workbook in the \"file\" field." });
+    }
 
-    // Try to send error message to user if we can identify them
     try {
-      const from = req.body?.entry?.[0]?.changes?.[0]?.value?.messages?.[0]?.from;
-      if (from) {
-        await sendWhatsApp(from, "🙏 Sorry, I'm experiencing technical difficulties. Please try again in a moment.");
-      }
-    } catch (sendErr) {
-      console.error("❌ Error sending error message:", sendErr);
+      tenant.catalog.replaceFromUpload(req.file.buffer, req.file.originalname);
+      res.json({ success: true, ...tenant.catalog.getInfo() });
+    } catch (err) {
+      console.error("❌ Catalog upload failed validation:", err.message);
+      res.status(422).json({ error: err.message, missingColumns: err.missingColumns || [], report: err.report || null });
     }
+  });
+});
+
+// Validation report for the live catalog: bad rows, duplicate JewelCodes, missing and unreachable images
+// (?format=csv|xlsx downloads the issue list instead)
+app.get("/admin/catalog/report", requireAdmin, (req, res) => {
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+  const report = tenant.catalog.getReport();
+  if (!report) {
+    return res.status(404).json({ error: "No catalog loaded yet" });
+  }
+  if (req.query.format) {
+    return sendExport(res, report.issues, { format: req.query.format, fileName: `catalog-report-${tenant.id}`, sheetName: "Issues" });
+  }
+  res.json(report);
+});
+
+// Roll back to the previously loaded catalog
+app.post("/admin/catalog/rollback", requireAdmin, (req, res) => {
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+  try {
+    tenant.catalog.rollback();
+    res.json({ success: true, ...tenant.catalog.getInfo() });
+  } catch (err) {
+    console.error("❌ Catalog rollback failed:", err.message);
+    res.status(409).json({ error: err.message });
+  }
+});
+
+// Knowledge base entries (optional ?type=policy|hours|faq|note)
+app.get("/admin/knowledge", requireAdmin, (req, res) => {
+  res.json({ entries: knowledgeBase.list({ type: req.query.type }) });
+});
+
+// Add a knowledge base entry
+app.post("/admin/knowledge", requireAdmin, (req, res) => {
+  const error = validateEntry(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.status(201).json(knowledgeBase.create(req.body));
+});
+
+// Update a knowledge base entry
+app.put("/admin/knowledge/:id", requireAdmin, (req, res) => {
+  const error = validateEntry(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const updated = knowledgeBase.update(req.params.id, req.body);
+  if (!updated) {
+    return res.status(404).json({ error: "Entry not found" });
+  }
+  res.json(updated);
+});
 
-    res.sendStatus(500);
+// Delete a knowledge base entry
+app.delete("/admin/knowledge/:id", requireAdmin, (req, res) => {
+  if (!knowledgeBase.remove(req.params.id)) {
+    return res.status(404).json({ error: "Entry not found" });
+  }
+  res.sendStatus(204);
+});
+
+// Callback, appointment and hold requests (?type=, ?status=, ?phone=, ?tenant=)
+app.get("/admin/leads", requireAdmin, (req, res) => {
+  const { type, status, phone, tenant } = req.query;
+  if (type && !LEAD_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${LEAD_TYPES.join(", ")}` });
+  }
+  res.json({ leads: leads.listLeads({ type, status, phone, tenantId: tenant }) });
+});
+
+// Download leads as CSV or XLSX (?format=csv|xlsx, same filters as the list)
+app.get("/admin/leads/export", requireAdmin, (req, res) => {
+  const { type, status, phone, tenant, format = "csv" } = req.query;
+  if (type && !LEAD_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${LEAD_TYPES.join(", ")}` });
+  }
+  sendExport(res, leads.listLeads({ type, status, phone, tenantId: tenant }), { format, fileName: "leads", sheetName: "Leads" });
+});
+
+// Staff follow-up on a lead, e.g. { "status": "contacted", "note": "Visiting Saturday" }
+app.put("/admin/leads/:id", requireAdmin, (req, res) => {
+  const { status, note } = req.body || {};
+  if (status !== undefined && !LEAD_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${LEAD_STATUSES.join(", ")}` });
+  }
+  if (note !== undefined && typeof note !== "string") {
+    return res.status(400).json({ error: "note must be a string" });
+  }
+  const updated = leads.updateLead(req.params.id, { status, note });
+  if (!updated) {
+    return res.status(404).json({ error: "Lead not found" });
+  }
+  res.json(updated);
+});
+
+// Saved products per store and customer (?tenant= for one store)
+app.get("/admin/wishlists", requireAdmin, (req, res) => {
+  res.json({ wishlists: leads.listWishlists({ tenantId: req.query.tenant }) });
+});
+
+// Download wishlists as CSV or XLSX, one row per saved product (?tenant= for one store)
+app.get("/admin/wishlists/export", requireAdmin, (req, res) => {
+  const rows = leads.listWishlists({ tenantId: req.query.tenant }).flatMap(({ tenantId, phone, items }) => items.map(item => {
+    const product = tenants.get(tenantId)?.catalog.findByCode(item.jewelCode);
+    return {
+      tenant: tenantId,
+      phone,
+      jewelCode: item.jewelCode,
+      addedAt: item.addedAt,
+      category: product?.["Product Category"] || "",
+      price: product ? pricing.priceOf(product) : "",
+      inCatalog: !!product
+    };
+  }));
+  sendExport(res, rows, { format: req.query.format || "csv", fileName: "wishlists", sheetName: "Wishlists" });
+});
+
+// The ?tenant= store's slot options: its own bookings, holidays and time zone
+const slotOptionsFor = (tenant) => ({
+  tenantId: tenant.id,
+  timeZone: tenant.businessHours?.timeZone || STORE_TIMEZONE,
+  isClosed: (date) => !!holidayOn(tenant.businessHours, date)
+});
+
+// Store-visit slot rules and the next open slots (?tenant=)
+app.get("/admin/appointments/slots", requireAdmin, (req, res) => {
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+  const options = slotOptionsFor(tenant);
+  res.json({ config: leads.getSlotConfig(options), available: leads.availableSlots({ ...options, limit: 20 }) });
+});
+
+// Configure one store's visit slots (?tenant=), e.g. { "weekdays": [1,2,3,4,5,6], "times": ["11:00", "16:00"], "capacity": 2, "daysAhead": 14 }
+app.put("/admin/appointments/slots", requireAdmin, (req, res) => {
+  const error = validateSlotConfig(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+  res.json(leads.setSlotConfig(req.body, slotOptionsFor(tenant)));
+});
+
+// Known contacts (?optedIn=true|false)
+app.get("/admin/contacts", requireAdmin, (req, res) => {
+  const optedIn = req.query.optedIn === undefined ? undefined : req.query.optedIn === "true";
+  res.json({ contacts: contacts.list({ optedIn }) });
+});
+
+// Record a customer's broadcast consent, e.g. { "optedIn": true }
+app.put("/admin/contacts/:phone/opt-in", requireAdmin, (req, res) => {
+  if (!/^\d+$/.test(req.params.phone)) {
+    return res.status(400).json({ error: "phone must be digits only, with country code" });
+  }
+  if (typeof req.body?.optedIn !== "boolean") {
+    return res.status(400).json({ error: "optedIn must be true or false" });
+  }
+  if (req.body.optedIn && optOuts.has(req.params.phone)) {
+    return res.status(409).json({ error: "Customer replied STOP; they must reply START before opting in again" });
+  }
+  res.json(contacts.setOptIn(req.params.phone, req.body.optedIn));
+});
+
+// Customers who replied STOP
+app.get("/admin/opt-outs", requireAdmin, (req, res) => {
+  res.json({ optOuts: optOuts.list() });
+});
+
+// Everything held about one customer, as a JSON download
+app.get("/admin/customers/:phone/export", requireAdmin, async (req, res) => {
+  const phone = req.params.phone;
+  if (!/^\d+$/.test(phone)) {
+    return res.status(400).json({ error: "phone must be digits only, with country code" });
+  }
+  try {
+    const sessions = [];
+    const events = [];
+    for (const tenant of tenants.list()) {
+      const session = await tenant.sessionStore.get(phone);
+      if (session) sessions.push({ tenant: tenant.id, ...session });
+      const tenantEvents = (await tenant.analytics.readEvents()).filter(e => e.phone === phone);
+      events.push(...tenantEvents.map(e => ({ tenant: tenant.id, ...e })));
+    }
+    const data = {
+      phone,
+      exportedAt: new Date().toISOString(),
+      optOut: optOuts.get(phone),
+      contact: contacts.get(phone),
+      sessions,
+      wishlists: leads.listWishlists({ phone }),
+      leads: leads.listLeads({ phone }),
+      campaignMessages: campaigns.recipientsFor(phone),
+      events
+    };
+    res.setHeader("Content-Disposition", `attachment; filename="customer-${phone}.json"`);
+    res.json(data);
+  } catch (err) {
+    console.error("❌ Error exporting customer data:", err);
+    res.status(500).json({ error: "Failed to export customer data" });
+  }
+});
+
+// Delete everything held about one customer (an opt-out is kept so it stays honoured)
+app.delete("/admin/customers/:phone", requireAdmin, async (req, res) => {
+  const phone = req.params.phone;
+  if (!/^\d+$/.test(phone)) {
+    return res.status(400).json({ error: "phone must be digits only, with country code" });
+  }
+  try {
+    let removedEvents = 0;
+    for (const tenant of tenants.list()) {
+      await tenant.sessionStore.delete(phone);
+      tenant.handoff.forget(phone);
+      removedEvents += await tenant.analytics.deletePhone(phone);
+    }
+    throttle.forgetPhone(phone);
+    const { leads: removedLeads, wishlist } = leads.deleteByPhone(phone);
+    const deleted = {
+      sessions: true,
+      contact: contacts.remove(phone),
+      wishlist,
+      leads: removedLeads,
+      campaignMessages: campaigns.forgetPhone(phone),
+      events: removedEvents
+    };
+    console.log(`🗑️ Deleted stored data for ${phone}`);
+    res.json({ success: true, deleted, optOutKept: optOuts.has(phone) });
+  } catch (err) {
+    console.error("❌ Error deleting customer data:", err);
+    res.status(500).json({ error: "Failed to delete customer data" });
+  }
+});
+
+// Send one template message, e.g. to reach a customer outside the 24-hour window
+app.post("/admin/templates/send", requireAdmin, async (req, res) => {
+  const { to, template } = req.body || {};
+  const error = validateCampaign({ name: "one-off", template });
+  if (error || !/^\d+$/.test(String(to || ""))) {
+    return res.status(400).json({ error: error || "to must be a phone number (digits only)" });
+  }
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+  try {
+    const response = await tenant.whatsapp.sendWhatsAppTemplate(String(to), template);
+    res.json({ sent: true, messageId: response.data?.messages?.[0]?.id || null });
+  } catch (err) {
+    if (err.code === "OPTED_OUT") {
+      return res.status(409).json({ error: "Customer replied STOP and cannot be messaged" });
+    }
+    res.status(502).json({ error: "Template send failed", details: err.response?.data?.error?.message || err.message });
+  }
+});
+
+// Campaign summaries
+app.get("/admin/campaigns", requireAdmin, (req, res) => {
+  res.json({ campaigns: campaigns.list() });
+});
+
+// How many of the ?tenant= store's contacts an audience reaches, before creating a campaign
+app.post("/admin/campaigns/preview", requireAdmin, (req, res) => {
+  const error = validateAudience(req.body?.audience);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+  const phones = contacts.resolveAudience({ ...req.body.audience, tenantId: tenant.id });
+  res.json({ count: phones.length, sample: phones.slice(0, 10) });
+});
+
+// Create a draft campaign, sent from the ?tenant= store's number, e.g. { "name": "Diwali offer", "template": { "name": "festive_offer", "language": "en", "bodyParams": ["{name}", "20%"] }, "audience": { "searched": "bangles", "withinDays": 30 } }
+app.post("/admin/campaigns", requireAdmin, (req, res) => {
+  const error = validateCampaign(req.body) || validateAudience(req.body?.audience);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+  res.status(201).json(campaigns.create({ ...req.body, tenantId: tenant.id }));
+});
+
+// One campaign with per-recipient delivery status
+app.get("/admin/campaigns/:id", requireAdmin, (req, res) => {
+  const campaign = campaigns.get(req.params.id);
+  if (!campaign) {
+    return res.status(404).json({ error: "Campaign not found" });
+  }
+  res.json({ ...campaigns.summarize(campaign), recipients: campaign.recipients });
+});
+
+// Start (or resume), pause and cancel sending
+for (const action of ["start", "pause", "cancel"]) {
+  app.post(`/admin/campaigns/:id/${action}`, requireAdmin, (req, res) => {
+    const outcome = campaigns[action](req.params.id);
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    res.json(outcome.campaign);
+  });
+}
+
+// Report date range from ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: the last 30 days)
+function reportRange(query) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const from = query.from || localDate(29);
+  const to = query.to || localDate();
+  if (!datePattern.test(from) || !datePattern.test(to)) return { error: "from and to must be dates as YYYY-MM-DD" };
+  return { from, to };
+}
+
+// Every report for a date range (one store's events: ?tenant=<id>)
+app.get("/admin/analytics", requireAdmin, async (req, res) => {
+  const range = reportRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+  const events = await tenant.analytics.readEvents(range);
+  const reports = Object.fromEntries(Object.entries(REPORTS).map(([name, build]) => [name, build(events)]));
+  res.json({ ...range, events: events.length, reports });
+});
+
+// All reports as one XLSX workbook, one sheet per report
+app.get("/admin/analytics/export", requireAdmin, async (req, res) => {
+  const range = reportRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+  const events = await tenant.analytics.readEvents(range);
+  const conversions = REPORTS.conversions(events);
+  sendWorkbook(res, {
+    "Zero results": REPORTS["zero-results"](events),
+    "Categories": REPORTS.categories(events),
+    "Price bands": REPORTS["price-bands"](events),
+    "Conversions": [conversions.totals],
+    "Customers": conversions.customers,
+    "Daily volume": REPORTS.daily(events)
+  }, { fileName: `analytics-${tenant.id}-${range.from}-to-${range.to}` });
+});
+
+// One report: zero-results, categories, price-bands, conversions or daily
+app.get("/admin/analytics/:report", requireAdmin, async (req, res) => {
+  const build = REPORTS[req.params.report];
+  if (!build) {
+    return res.status(404).json({ error: `Unknown report (use ${Object.keys(REPORTS).join(", ")})` });
+  }
+  const range = reportRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+  res.json({ ...range, report: req.params.report, data: build(await tenant.analytics.readEvents(range)) });
+});
+
+// Current gold rates and pricing rules
+app.get("/admin/pricing", requireAdmin, (req, res) => {
+  res.json(pricing.getState());
+});
+
+// Post today's per-gram gold rates, e.g. { "rates": { "22K": 6800, "18K": 5600, "14K": 4400 } }
+app.put("/admin/pricing/rates", requireAdmin, (req, res) => {
+  const error = validateRates(req.body?.rates);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(pricing.setRates(req.body.rates));
+});
+
+// Making charge and GST rules, e.g. { "makingCharge": { "type": "percent", "value": 12 }, "gstPercent": 3 }
+app.put("/admin/pricing/config", requireAdmin, (req, res) => {
+  const error = validateConfig(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(pricing.setConfig(req.body));
+});
+
+// Live price breakdown for one product
+app.get("/admin/pricing/:jewelCode", requireAdmin, (req, res) => {
+  const product = findProductInAnyCatalog(req.params.jewelCode);
+  if (!product) {
+    return res.status(404).json({ error: "Product not found" });
+  }
+  res.json({ jewelCode: product["JewelCode"], catalogPrice: product["Sale Price"], breakdown: pricing.breakdown(product) });
+});
+
+// Conversations waiting for or being handled by staff, across every store
+app.get("/admin/handoffs", requireAdmin, async (req, res) => {
+  try {
+    const handoffs = [];
+    const queued = [];
+    for (const tenant of tenants.list()) {
+      handoffs.push(...(await tenant.handoff.list()).map(h => ({ tenant: tenant.id, ...h })));
+      queued.push(...tenant.handoff.listQueued().map(q => ({ tenant: tenant.id, ...q })));
+    }
+    res.json({ handoffs, queued });
+  } catch (err) {
+    console.error("❌ Error listing handoffs:", err);
+    res.status(500).json({ error: "Failed to list handoffs" });
+  }
+});
+
+// Per-customer limits, active cooldowns and today's model-token use (keys are "<tenant>:<phone>")
+app.get("/admin/throttle", requireAdmin, (req, res) => {
+  res.json(throttle.status());
+});
+
+// Lift a customer's cooldown and restore today's token budget (?tenant=<id>)
+app.delete("/admin/throttle/:phone", requireAdmin, (req, res) => {
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+  const reset = throttle.reset(throttleKey(tenant, req.params.phone));
+  res.json({ success: true, reset });
+});
+
+// Reply to a customer as the business (takes over the chat if the bot had it; ?tenant=<id> picks the store)
+app.post("/admin/handoffs/:phone/reply", requireAdmin, async (req, res) => {
+  const text = req.body?.text;
+  if (!text || typeof text !== "string") {
+    return res.status(400).json({ error: "Body must include a non-empty \"text\" string" });
+  }
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+
+  try {
+    const state = await tenant.handoff.replyAsStaff(req.params.phone, text);
+    res.json({ success: true, handoff: state });
+  } catch (err) {
+    if (err.code === "OPTED_OUT") {
+      return res.status(409).json({ error: "Customer replied STOP and cannot be messaged" });
+    }
+    console.error("❌ Error sending staff reply:", err.response?.data || err.message);
+    res.status(502).json({ error: "Failed to send reply" });
+  }
+});
+
+// Take over a conversation from the bot
+app.post("/admin/handoffs/:phone/takeover", requireAdmin, async (req, res) => {
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+  try {
+    const state = await tenant.handoff.takeover(req.params.phone);
+    res.json({ success: true, handoff: state });
+  } catch (err) {
+    console.error("❌ Error taking over conversation:", err);
+    res.status(500).json({ error: "Failed to take over conversation" });
+  }
+});
+
+// Hand the conversation back to the bot
+app.post("/admin/handoffs/:phone/resume", requireAdmin, async (req, res) => {
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+  try {
+    const resumed = await tenant.handoff.resume(req.params.phone, { notifyCustomer: req.body?.notifyCustomer !== false });
+    if (!resumed) {
+      return res.status(404).json({ error: "No active handoff for this phone number" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Error resuming bot:", err);
+    res.status(500).json({ error: "Failed to resume bot" });
   }
 });
 
@@ -500,23 +1540,43 @@ app.get("/health", (req, res) => {
   res.json({
     status: "healthy",
     timestamp: new Date().toISOString(),
-    productsLoaded: productData.length,
+    productsLoaded: tenants.list().reduce((sum, t) => sum + t.catalog.getProducts().length, 0),
+    tenants: tenants.list().map(t => ({
+      id: t.id,
+      catalog: t.catalog.getInfo().current,
+      semanticIndex: t.semanticIndex.getInfo(),
+      whatsappConfigured: !!t.token && !!t.phoneNumberId
+    })),
     toolsConfigured: tools.length,
     environment: {
       openaiConfigured: !!process.env.OPENAI_API_KEY,
-      whatsappConfigured: !!process.env.WHATSAPP_TOKEN,
-      phoneNumberId: !!process.env.PHONE_NUMBER_ID,
+      llmProvider: llm.name,
+      llmModel: llm.model,
+      speechToTextProvider: speechToText?.name || "none",
+      visionProvider: vision?.name || "none",
+      whatsappConfigured: tenants.list().every(t => !!t.token && !!t.phoneNumberId),
       verifyToken: !!process.env.VERIFY_TOKEN
     }
   });
 });
 
-// Test Products Endpoint
-app.get("/test-products", (req, res) => {
-  const query = req.query.q || "ring";
-  const results = filterProducts(query);
-  res.json({
+// Test Products Endpoint (?tenant=<id> for a store other than the first)
+app.get("/test-products", async (req, res) => {
+  const tenant = tenantFor(req, res);
+  if (!tenant) return;
+  const { q, ...filters } = req.query;
+  delete filters.tenant;
+  const query = q || (Object.keys(filters).length ? undefined : "ring");
+  const criteria = {
+    ...filters,
     query,
+    minPrice: filters.minPrice ? Number(filters.minPrice) : undefined,
+    maxPrice: filters.maxPrice ? Number(filters.maxPrice) : undefined
+  };
+  const results = await tenant.findProducts(criteria);
+  const productData = tenant.catalog.getProducts();
+  res.json({
+    criteria,
     totalProducts: productData.length,
     matchingProducts: results.length,
     sampleData: productData.slice(0, 2),
@@ -535,24 +1595,45 @@ app.post("/webhook-debug", (req, res) => {
 // ═══════════════════════════════════════════════════════════════════════════════
 // 🚀 SERVER STARTUP
 // ═══════════════════════════════════════════════════════════════════════════════
+//
+// Requiring index.js only builds the app: start() loads the catalogs, starts the
+// background jobs and listens, and stop() undoes it. `node index.js` calls start().
+
+const backgroundJobs = [];
+
+function startBackgroundJobs() {
+  purgeOldData();
+  releaseQueuedHandoffs();
+  backgroundJobs.push(
+    setInterval(purgeExpiredSessions, 60 * 60 * 1000),
+    setInterval(purgeOldData, 24 * 60 * 60 * 1000),
+    setInterval(releaseQueuedHandoffs, 60 * 1000)
+  );
+  backgroundJobs.forEach(timer => timer.unref());
+}
 
-app.listen(PORT, () => {
-  console.log(`✅ Server running on port ${PORT}`);
-  console.log(`🌐 Expose with: ngrok http ${PORT}`);
-  console.log(`📊 Loaded ${productData.length} products from Excel`);
+function logStartupSummary(port) {
+  console.log(`✅ Server running on port ${port}`);
+  console.log(`🌐 Expose with: ngrok http ${port}`);
 
-  // Debug: Show first few products
-  if (productData.length > 0) {
-    console.log("📦 Sample products:");
-    productData.slice(0, 3).forEach((p, i) => {
-      console.log(`  ${i + 1}. ${p["Product Category"]} - ${p["Sub Category"]} - ₹${p["Sale Price"]} (${p["JewelCode"]})`);
-    });
-  } else {
-    console.log("⚠️ No products loaded. Check if uploads/app-items.xlsx exists and has data.");
+  for (const tenant of tenants.list()) {
+    const productData = tenant.catalog.getProducts();
+    console.log(`📊 ${tenant.brand.name} (${tenant.id}): loaded ${productData.length} products from Excel`);
+
+    // Debug: Show first few products
+    if (productData.length > 0) {
+      console.log("📦 Sample products:");
+      productData.slice(0, 3).forEach((p, i) => {
+        console.log(`  ${i + 1}. ${p["Product Category"]} - ${p["Sub Category"]} - ₹${p["Sale Price"]} (${p["JewelCode"]})`);
+      });
+    } else {
+      console.log(`⚠️ No products loaded. Check if ${path.relative(__dirname, tenant.catalogFile)} exists and has data.`);
+    }
   }
 
-  // Verify environment variables
-  const requiredVars = ['OPENAI_API_KEY', 'WHATSAPP_TOKEN', 'PHONE_NUMBER_ID', 'VERIFY_TOKEN', 'VERSION'];
+  // Verify environment variables (tenant files carry their own number and token)
+  const requiredVars = tenantConfigs.fromEnv ? ['WHATSAPP_TOKEN', 'PHONE_NUMBER_ID', 'VERIFY_TOKEN', 'VERSION'] : ['VERIFY_TOKEN', 'VERSION'];
+  if (llm.name === "openai" && !process.env.LLM_BASE_URL) requiredVars.unshift('OPENAI_API_KEY');
   const missingVars = requiredVars.filter(varName => !process.env[varName]);
 
   if (missingVars.length > 0) {
@@ -560,4 +1641,45 @@ app.listen(PORT, () => {
   } else {
     console.log("✅ All required environment variables are set");
   }
-});
+
+  if (allowUnsignedWebhooks()) {
+    console.log("⚠️ ALLOW_UNSIGNED_WEBHOOKS=true and APP_SECRET is not set: webhook signatures are NOT being verified");
+  } else if (!process.env.APP_SECRET) {
+    console.log("⚠️ APP_SECRET is not set: every webhook delivery will be rejected (set ALLOW_UNSIGNED_WEBHOOKS=true for local testing)");
+  }
+}
+
+// Load the catalogs, start background jobs and listen; resolves with the http.Server (port 0 picks a free port)
+async function start({ port = PORT } = {}) {
+  // Phone numbers are masked in console output (LOG_PHONE_NUMBERS=true to keep them)
+  installConsoleRedaction();
+
+  for (const tenant of tenants.list()) {
+    tenant.catalog.loadFromDisk();
+  }
+  startBackgroundJobs();
+
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(port, (err) => (err ? reject(err) : resolve(listening)));
+  });
+  logStartupSummary(server.address().port);
+  return server;
+}
+
+// Stop background jobs, let queued messages finish, write pending state and close the server
+async function stop(server) {
+  backgroundJobs.splice(0).forEach(clearInterval);
+  await messageQueue.idle();
+  contacts.flush();
+  throttle.flush();
+  if (server) await new Promise(resolve => server.close(resolve));
+}
+
+module.exports = { app, start, stop, tenants, llm, messageQueue };
+
+if (require.main === module) {
+  start().catch(err => {
+    console.error("❌ Failed to start server:", err);
+    process.exit(1);
+  });
+}
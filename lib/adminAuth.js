@@ -0,0 +1,33 @@
+const crypto = require("crypto");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🔐 ADMIN AUTHENTICATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Require "Authorization: Bearer <ADMIN_TOKEN>" on admin routes
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    console.error("❌ Admin request rejected: ADMIN_TOKEN is not configured");
+    return res.status(503).json({ error: "Admin API is disabled. Set ADMIN_TOKEN to enable it." });
+  }
+
+  const header = req.get("authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  if (!token || !safeEqual(token, adminToken)) {
+    console.log(`⚠️ Unauthorized admin request: ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  next();
+}
+
+module.exports = { requireAdmin, safeEqual };
@@ -0,0 +1,314 @@
+const fs = require("fs");
+const path = require("path");
+const { tokenize, extractPriceRange } = require("./search");
+const { localParts, localDate } = require("./time");
+const { HANDOFF_REASONS } = require("./handoff");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📈 CONVERSATION ANALYTICS
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Events are appended as JSON lines to one file per store-local day
+// (events-YYYY-MM-DD.jsonl, rolling over to events-YYYY-MM-DD-1.jsonl past
+// maxFileBytes). Files older than retentionDays are deleted by purge();
+// deletePhone() removes one customer's events from every file.
+//
+// Event shape: { ts, type, phone, ...details }
+//   inbound         { kind, text, intent }
+//   tool_call       { name, args }
+//   search          { tool, criteria, resultCount }
+//   products_shown  { products: [{ jewelCode, category, price }] }
+//   show_more       {}
+//   handoff         { reason }
+//   lead            { leadType }
+//   error           { where, message }
+//   throttled       { reason: "rate" | "tokens", strikes }
+//   media           { mediaType, provider, query } (query: the search a voice note or photo became)
+
+const EVENT_TYPES = ["inbound", "tool_call", "search", "products_shown", "show_more", "handoff", "lead", "error", "throttled", "media"];
+
+const MAX_FILE_BYTES = (Number(process.env.ANALYTICS_MAX_FILE_MB) || 10) * 1024 * 1024;
+const RETENTION_DAYS = Number(process.env.ANALYTICS_RETENTION_DAYS) || Number(process.env.DATA_RETENTION_DAYS) || 180;
+
+const PRICE_BANDS = [
+  { label: "Under ₹25k", max: 25000 },
+  { label: "₹25k–50k", max: 50000 },
+  { label: "₹50k–1L", max: 100000 },
+  { label: "₹1L–2L", max: 200000 },
+  { label: "₹2L–5L", max: 500000 },
+  { label: "₹5L+", max: Infinity }
+];
+
+const FILE_PATTERN = /^events-(\d{4}-\d{2}-\d{2})(?:-(\d+))?\.jsonl$/;
+
+function priceBand(price) {
+  if (!(price > 0)) return null;
+  return PRICE_BANDS.find(band => price <= band.max).label;
+}
+
+// Create the event log in a directory
+function createAnalytics({ dir, maxFileBytes = MAX_FILE_BYTES, retentionDays = RETENTION_DAYS }) {
+  fs.mkdirSync(dir, { recursive: true });
+  let current = null; // { date, part, filePath, size }
+  let writing = Promise.resolve();
+
+  function fileFor(date, part) {
+    return path.join(dir, part ? `events-${date}-${part}.jsonl` : `events-${date}.jsonl`);
+  }
+
+  // Latest part of today's file, found once per day
+  function openFile(date) {
+    const parts = fs.readdirSync(dir)
+      .map(name => name.match(FILE_PATTERN))
+      .filter(m => m && m[1] === date)
+      .map(m => Number(m[2] || 0));
+    const part = parts.length ? Math.max(...parts) : 0;
+    const filePath = fileFor(date, part);
+    const size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    return { date, part, filePath, size };
+  }
+
+  async function append(line) {
+    const date = localDate();
+    if (!current || current.date !== date) current = openFile(date);
+    const bytes = Buffer.byteLength(line);
+    if (current.size > 0 && current.size + bytes > maxFileBytes) {
+      current = { date, part: current.part + 1, filePath: fileFor(date, current.part + 1), size: 0 };
+    }
+    await fs.promises.appendFile(current.filePath, line);
+    current.size += bytes;
+  }
+
+  // Record one event; never throws into the conversation flow
+  function record(type, phone, details = {}) {
+    const line = JSON.stringify({ ts: new Date().toISOString(), type, phone: phone || null, ...details }) + "\n";
+    writing = writing
+      .then(() => append(line))
+      .catch(err => console.error("❌ Error writing analytics event:", err.message));
+    return writing;
+  }
+
+  // Event files between two store-local dates (inclusive), oldest first
+  function listFiles({ from, to } = {}) {
+    return fs.readdirSync(dir)
+      .map(name => ({ name, match: name.match(FILE_PATTERN) }))
+      .filter(f => f.match && (!from || f.match[1] >= from) && (!to || f.match[1] <= to))
+      .sort((a, b) => a.match[1].localeCompare(b.match[1]) || Number(a.match[2] || 0) - Number(b.match[2] || 0))
+      .map(f => f.name);
+  }
+
+  async function readFileEvents(name) {
+    const content = await fs.promises.readFile(path.join(dir, name), "utf8");
+    const events = [];
+    for (const line of content.split("\n")) {
+      if (!line) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch (err) {
+        // A torn last line after a crash; skip it
+      }
+    }
+    return events;
+  }
+
+  // Events between two store-local dates (inclusive), oldest first
+  async function readEvents({ from, to } = {}) {
+    await writing;
+    const events = [];
+    for (const name of listFiles({ from, to })) {
+      events.push(...await readFileEvents(name));
+    }
+    return events;
+  }
+
+  // Rewrite every file without one customer's events; returns the number removed
+  function deletePhone(phone) {
+    const run = writing.then(async () => {
+      let removed = 0;
+      for (const name of listFiles()) {
+        const events = await readFileEvents(name);
+        const kept = events.filter(e => e.phone !== phone);
+        if (kept.length === events.length) continue;
+        removed += events.length - kept.length;
+        const filePath = path.join(dir, name);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, kept.map(e => JSON.stringify(e) + "\n").join(""));
+        await fs.promises.rename(tmpPath, filePath);
+      }
+      current = null; // sizes changed; re-read before the next append
+      return removed;
+    });
+    writing = run.catch(err => console.error("❌ Error deleting analytics events:", err.message));
+    return run;
+  }
+
+  // Delete day files older than the retention window
+  function purge() {
+    const cutoff = localDate(retentionDays);
+    let removed = 0;
+    for (const name of fs.readdirSync(dir)) {
+      const match = name.match(FILE_PATTERN);
+      if (match && match[1] < cutoff) {
+        fs.rmSync(path.join(dir, name), { force: true });
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  return { record, readEvents, deletePhone, purge };
+}
+
+// ─── Reports ───
+
+function increment(map, key, by = 1) {
+  map.set(key, (map.get(key) || 0) + by);
+}
+
+// Budget a search asked for: its upper bound, else its lower bound
+function searchBudget(criteria = {}) {
+  const fromText = extractPriceRange(criteria.query);
+  return criteria.maxPrice ?? fromText.maxPrice ?? criteria.minPrice ?? fromText.minPrice ?? null;
+}
+
+// Searches that found nothing, grouped by what was asked
+function zeroResultQueries(events) {
+  const groups = new Map();
+  for (const e of events) {
+    if (e.type !== "search" || e.resultCount > 0) continue;
+    const { query, ...filters } = e.criteria || {};
+    const key = [tokenize(query).join(" "), JSON.stringify(filters)].join("|");
+    const group = groups.get(key) || { query: query || "", filters, count: 0, customers: new Set(), lastSeen: null };
+    group.count++;
+    group.customers.add(e.phone);
+    group.lastSeen = e.ts;
+    groups.set(key, group);
+  }
+  return [...groups.values()]
+    .map(g => ({ query: g.query, filters: g.filters, count: g.count, customers: g.customers.size, lastSeen: g.lastSeen }))
+    .sort((a, b) => b.count - a.count);
+}
+
+// "Earrings" and "earring" count as one category
+const categoryKey = (value) => tokenize(value).join(" ") || "(none)";
+
+// Categories customers searched for and were shown
+function popularCategories(events) {
+  const searched = new Map();
+  const shown = new Map();
+  for (const e of events) {
+    if (e.type === "search" && e.criteria?.category) {
+      increment(searched, categoryKey(e.criteria.category));
+    }
+    if (e.type === "products_shown") {
+      for (const p of e.products || []) increment(shown, categoryKey(p.category));
+    }
+  }
+  const categories = new Set([...searched.keys(), ...shown.keys()]);
+  return [...categories]
+    .map(category => ({ category, searches: searched.get(category) || 0, shown: shown.get(category) || 0 }))
+    .sort((a, b) => b.searches - a.searches || b.shown - a.shown);
+}
+
+// Budgets asked for and prices of products shown, per band
+function priceBands(events) {
+  const searched = new Map();
+  const shown = new Map();
+  for (const e of events) {
+    if (e.type === "search") {
+      const band = priceBand(searchBudget(e.criteria));
+      if (band) increment(searched, band);
+    }
+    if (e.type === "products_shown") {
+      for (const p of e.products || []) {
+        const band = priceBand(p.price);
+        if (band) increment(shown, band);
+      }
+    }
+  }
+  return PRICE_BANDS.map(({ label }) => ({ band: label, searches: searched.get(label) || 0, shown: shown.get(label) || 0 }));
+}
+
+// Per customer: how far they went beyond browsing
+function conversionSignals(events) {
+  const customers = new Map();
+  const customer = (phone) => {
+    if (!customers.has(phone)) {
+      customers.set(phone, { phone, messages: 0, searches: 0, askedForMore: 0, askedForHuman: 0, wishlistSaves: 0, leads: 0, lastSeen: null });
+    }
+    return customers.get(phone);
+  };
+
+  for (const e of events) {
+    if (!e.phone) continue;
+    const c = customer(e.phone);
+    c.lastSeen = e.ts;
+    if (e.type === "inbound") c.messages++;
+    if (e.type === "search") c.searches++;
+    if (e.type === "show_more") c.askedForMore++;
+    if (e.type === "handoff" && e.reason !== HANDOFF_REASONS.FAILED_SEARCHES) c.askedForHuman++;
+    if (e.type === "lead") c.leads++;
+    if ((e.type === "tool_call" && e.name === "saveToWishlist") || (e.type === "inbound" && e.intent === "wishlist")) c.wishlistSaves++;
+  }
+
+  const rows = [...customers.values()].sort((a, b) =>
+    (b.leads + b.askedForHuman + b.wishlistSaves) - (a.leads + a.askedForHuman + a.wishlistSaves) || b.askedForMore - a.askedForMore);
+  const total = (field) => rows.filter(r => r[field] > 0).length;
+  return {
+    totals: {
+      customers: rows.length,
+      askedForMore: total("askedForMore"),
+      askedForHuman: total("askedForHuman"),
+      savedToWishlist: total("wishlistSaves"),
+      createdLeads: total("leads")
+    },
+    customers: rows
+  };
+}
+
+// Message, customer, search and error counts per store-local day
+function dailyVolume(events) {
+  const days = new Map();
+  for (const e of events) {
+    const date = localParts(new Date(e.ts)).date;
+    if (!days.has(date)) {
+      days.set(date, { date, inbound: 0, customers: new Set(), searches: 0, zeroResultSearches: 0, productsShown: 0, handoffs: 0, leads: 0, errors: 0 });
+    }
+    const day = days.get(date);
+    if (e.type === "inbound") {
+      day.inbound++;
+      day.customers.add(e.phone);
+    }
+    if (e.type === "search") {
+      day.searches++;
+      if (!(e.resultCount > 0)) day.zeroResultSearches++;
+    }
+    if (e.type === "products_shown") day.productsShown += (e.products || []).length;
+    if (e.type === "handoff") day.handoffs++;
+    if (e.type === "lead") day.leads++;
+    if (e.type === "error") day.errors++;
+  }
+  return [...days.values()]
+    .map(d => ({ ...d, customers: d.customers.size }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+const REPORTS = {
+  "zero-results": zeroResultQueries,
+  "categories": popularCategories,
+  "price-bands": priceBands,
+  "conversions": conversionSignals,
+  "daily": dailyVolume
+};
+
+module.exports = {
+  EVENT_TYPES,
+  PRICE_BANDS,
+  REPORTS,
+  createAnalytics,
+  zeroResultQueries,
+  popularCategories,
+  priceBands,
+  conversionSignals,
+  dailyVolume
+};
@@ -0,0 +1,121 @@
+const { STORE_TIMEZONE, DAY_MS, localParts } = require("./time");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🕘 BUSINESS HOURS & HOLIDAYS
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// A store's hours:
+//   { "weekdays": [1, 2, 3, 4, 5, 6], "open": "11:00", "close": "20:30", "timeZone": "Asia/Kolkata",
+//     "holidays": ["2026-10-20", { "date": "2026-11-08", "name": "Diwali" }] }
+// No hours configured means the store is treated as always open.
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// How far ahead to look for the next opening (long festival closures included)
+const LOOKAHEAD_DAYS = 31;
+
+// Check a businessHours object; returns an error message or null
+function validateBusinessHours(hours) {
+  if (!hours || typeof hours !== "object") return "businessHours must be an object";
+  if (!TIME_PATTERN.test(hours.open || "") || !TIME_PATTERN.test(hours.close || "")) return "businessHours.open and close must be \"HH:MM\"";
+  if (hours.close <= hours.open) return "businessHours.close must be after open";
+  if (hours.weekdays !== undefined && (!Array.isArray(hours.weekdays) || !hours.weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+    return "businessHours.weekdays must be day numbers 0 (Sunday) to 6 (Saturday)";
+  }
+  if (hours.timeZone !== undefined && typeof hours.timeZone !== "string") return "businessHours.timeZone must be an IANA time zone";
+  if (hours.holidays !== undefined) {
+    if (!Array.isArray(hours.holidays)) return "businessHours.holidays must be a list of dates";
+    const bad = hours.holidays.find(h => !DATE_PATTERN.test(typeof h === "string" ? h : h?.date || ""));
+    if (bad !== undefined) return `businessHours.holidays: "${JSON.stringify(bad)}" is not "YYYY-MM-DD" or { "date": "YYYY-MM-DD", "name": "..." }`;
+  }
+  return null;
+}
+
+// Defaults filled in and holidays as { date, name }, sorted
+function normalizeBusinessHours(hours) {
+  if (!hours) return null;
+  const holidays = (hours.holidays || [])
+    .map(h => (typeof h === "string" ? { date: h, name: null } : { date: h.date, name: h.name || null }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  return { weekdays: [0, 1, 2, 3, 4, 5, 6], timeZone: STORE_TIMEZONE, ...hours, holidays };
+}
+
+// Single-store hours from the environment:
+// BUSINESS_HOURS_OPEN / BUSINESS_HOURS_CLOSE ("HH:MM"), BUSINESS_DAYS ("1,2,3,4,5,6"), STORE_HOLIDAYS ("2026-11-08,2026-12-25")
+function businessHoursFromEnv(env = process.env) {
+  if (!env.BUSINESS_HOURS_OPEN && !env.BUSINESS_HOURS_CLOSE) return null;
+  const list = (value) => String(value || "").split(",").map(s => s.trim()).filter(Boolean);
+  const hours = {
+    open: env.BUSINESS_HOURS_OPEN,
+    close: env.BUSINESS_HOURS_CLOSE,
+    ...(env.BUSINESS_DAYS ? { weekdays: list(env.BUSINESS_DAYS).map(Number) } : {}),
+    holidays: list(env.STORE_HOLIDAYS)
+  };
+  const error = validateBusinessHours(hours);
+  if (error) throw new Error(`Business hours from the environment: ${error}`);
+  return normalizeBusinessHours(hours);
+}
+
+function holidayOn(hours, date) {
+  return hours?.holidays?.find(h => h.date === date) || null;
+}
+
+// "Mon 20 Oct, 11:00"
+function formatOpening(date, time) {
+  const [year, month, day] = date.split("-").map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return `${WEEKDAY_NAMES[weekday]} ${day} ${MONTH_NAMES[month - 1]}, ${time}`;
+}
+
+// Whether the store is open at an instant, today's holiday if any, and when it next opens:
+//   { open, holiday: { date, name } | null, nextOpen: { date, time, text } | null }
+function storeStatus(hours, now = new Date()) {
+  if (!hours) return { open: true, holiday: null, nextOpen: null };
+
+  const today = localParts(now, hours.timeZone);
+  const holiday = holidayOn(hours, today.date);
+  const workingDay = (parts) => hours.weekdays.includes(parts.weekday) && !holidayOn(hours, parts.date);
+  const open = workingDay(today) && today.time >= hours.open && today.time < hours.close;
+  if (open) return { open: true, holiday: null, nextOpen: null };
+
+  for (let day = 0; day <= LOOKAHEAD_DAYS; day++) {
+    const parts = day === 0 ? today : localParts(new Date(now.getTime() + day * DAY_MS), hours.timeZone);
+    if (!workingDay(parts)) continue;
+    if (day === 0 && today.time >= hours.open) continue; // already closed for the day
+    return { open: false, holiday, nextOpen: { date: parts.date, time: hours.open, text: formatOpening(parts.date, hours.open) } };
+  }
+  return { open: false, holiday, nextOpen: null };
+}
+
+// "Mon–Sat 11:00–20:30 (Asia/Kolkata)"
+function describeBusinessHours(hours) {
+  if (!hours) return null;
+  const days = [...hours.weekdays].sort((a, b) => a - b);
+  const contiguous = days.every((d, i) => i === 0 || d === days[i - 1] + 1);
+  const dayText = days.length === 7
+    ? "Every day"
+    : contiguous && days.length > 2
+      ? `${WEEKDAY_NAMES[days[0]]}–${WEEKDAY_NAMES[days[days.length - 1]]}`
+      : days.map(d => WEEKDAY_NAMES[d]).join(", ");
+  return `${dayText} ${hours.open}–${hours.close} (${hours.timeZone})`;
+}
+
+// Holidays from today on, for the prompt and the store-info tool
+function upcomingHolidays(hours, now = new Date()) {
+  if (!hours) return [];
+  const today = localParts(now, hours.timeZone).date;
+  return hours.holidays.filter(h => h.date >= today);
+}
+
+module.exports = {
+  validateBusinessHours,
+  normalizeBusinessHours,
+  businessHoursFromEnv,
+  storeStatus,
+  describeBusinessHours,
+  upcomingHolidays,
+  holidayOn
+};
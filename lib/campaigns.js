@@ -0,0 +1,241 @@
+const crypto = require("crypto");
+const { readJsonFile, createDebouncedJsonWriter } = require("./fileUtils");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📣 BROADCAST CAMPAIGNS
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Campaign shape:
+//   { id, name, tenantId, template, audience, status, recipients, createdAt, startedAt, completedAt }
+//   tenantId   -> the store whose WhatsApp number sends the campaign
+//   template   -> { name, language, bodyParams, headerImageUrl } of an approved template;
+//                 "{name}" in a body parameter becomes the customer's WhatsApp profile name
+//   status     -> "draft" | "sending" | "paused" | "completed" | "cancelled"
+//   recipients -> [{ phone, status, messageId, error, updatedAt }]
+//                 status: "pending" -> "accepted" -> "sent" -> "delivered" -> "read", or "failed"
+
+const CAMPAIGN_STATUSES = ["draft", "sending", "paused", "completed", "cancelled"];
+const DELIVERY_RANK = { pending: 0, accepted: 1, sent: 2, delivered: 3, read: 4 };
+
+const MESSAGES_PER_SECOND = Number(process.env.CAMPAIGN_MESSAGES_PER_SECOND) || 5;
+const RATE_LIMIT_RETRIES = 3;
+const RATE_LIMIT_BACKOFF_MS = 30 * 1000;
+
+// Graph API codes meaning "slow down" rather than "this recipient failed"
+const RATE_LIMIT_CODES = new Set([4, 80007, 130429, 131048, 131056]);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRateLimited(err) {
+  return err?.response?.status === 429 || RATE_LIMIT_CODES.has(err?.response?.data?.error?.code);
+}
+
+// Check a campaign payload; returns an error message or null (audience is checked by the contact store)
+function validateCampaign(campaign) {
+  if (!campaign || typeof campaign !== "object") return "Body must be a JSON object";
+  if (typeof campaign.name !== "string" || !campaign.name.trim()) return "name must be a non-empty string";
+  const template = campaign.template;
+  if (!template || typeof template.name !== "string" || !template.name.trim()) return "template.name must be the name of an approved template";
+  if (template.language !== undefined && typeof template.language !== "string") return "template.language must be a language code, e.g. en or en_US";
+  if (template.bodyParams !== undefined && !Array.isArray(template.bodyParams)) return "template.bodyParams must be an array of strings";
+  if (template.headerImageUrl !== undefined && typeof template.headerImageUrl !== "string") return "template.headerImageUrl must be a URL";
+  return null;
+}
+
+// Create the campaign service around the contact store and a template sender: (phone, template, campaign) -> response
+function createCampaignService({ filePath, contacts, sendTemplate, isOptedOut = () => false, messagesPerSecond = MESSAGES_PER_SECOND }) {
+  const campaigns = readJsonFile(filePath, { campaigns: [] }).campaigns || [];
+  const writer = createDebouncedJsonWriter(filePath, () => ({ campaigns }));
+  const byMessageId = new Map(); // messageId -> { campaign, recipient }
+  const running = new Set();
+
+  for (const campaign of campaigns) {
+    // Sending stopped with the previous process; resume with POST .../start
+    if (campaign.status === "sending") campaign.status = "paused";
+    for (const recipient of campaign.recipients) {
+      if (recipient.messageId) byMessageId.set(recipient.messageId, { campaign, recipient });
+    }
+  }
+  console.log(`📣 Loaded ${campaigns.length} campaigns`);
+
+  function summarize(campaign) {
+    const counts = {};
+    for (const r of campaign.recipients) counts[r.status] = (counts[r.status] || 0) + 1;
+    const { recipients, ...rest } = campaign;
+    return { ...rest, recipientCount: recipients.length, counts };
+  }
+
+  function list() {
+    return campaigns.map(summarize);
+  }
+
+  function get(id) {
+    return campaigns.find(c => c.id === id) || null;
+  }
+
+  function create({ name, template, audience, tenantId = null }) {
+    const campaign = {
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      tenantId,
+      template: {
+        name: template.name.trim(),
+        language: template.language || "en",
+        bodyParams: (template.bodyParams || []).map(String),
+        headerImageUrl: template.headerImageUrl || null
+      },
+      audience,
+      status: "draft",
+      recipients: [],
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null
+    };
+    campaigns.push(campaign);
+    writer.flush();
+    return summarize(campaign);
+  }
+
+  // Body parameters for one recipient
+  function paramsFor(campaign, phone) {
+    const name = contacts.get(phone)?.name || "there";
+    return campaign.template.bodyParams.map(p => p.replace(/\{name\}/g, name));
+  }
+
+  async function sendOne(campaign, recipient) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await sendTemplate(recipient.phone, {
+          ...campaign.template,
+          bodyParams: paramsFor(campaign, recipient.phone)
+        }, campaign);
+        recipient.messageId = response?.data?.messages?.[0]?.id || null;
+        recipient.status = "accepted";
+        if (recipient.messageId) byMessageId.set(recipient.messageId, { campaign, recipient });
+        break;
+      } catch (err) {
+        if (isRateLimited(err) && attempt < RATE_LIMIT_RETRIES) {
+          const wait = RATE_LIMIT_BACKOFF_MS * (attempt + 1);
+          console.log(`⏳ Campaign "${campaign.name}" rate limited, retrying in ${wait / 1000}s`);
+          await sleep(wait);
+          continue;
+        }
+        recipient.status = "failed";
+        recipient.error = err.response?.data?.error?.message || err.message;
+        break;
+      }
+    }
+    recipient.updatedAt = new Date().toISOString();
+    writer.save();
+  }
+
+  // Throttled send loop; stops as soon as the campaign is paused or cancelled
+  async function run(campaign) {
+    running.add(campaign.id);
+    const interval = 1000 / messagesPerSecond;
+    try {
+      for (const recipient of campaign.recipients) {
+        if (campaign.status !== "sending") return;
+        if (recipient.status !== "pending") continue;
+        await sendOne(campaign, recipient);
+        await sleep(interval);
+      }
+      if (campaign.status === "sending") {
+        campaign.status = "completed";
+        campaign.completedAt = new Date().toISOString();
+        console.log(`✅ Campaign "${campaign.name}" finished: ${JSON.stringify(summarize(campaign).counts)}`);
+      }
+    } catch (err) {
+      campaign.status = "paused";
+      console.error(`❌ Campaign "${campaign.name}" stopped:`, err.message);
+    } finally {
+      running.delete(campaign.id);
+      writer.flush();
+    }
+  }
+
+  // Start a draft (resolving its audience now) or resume a paused campaign
+  function start(id) {
+    const campaign = get(id);
+    if (!campaign) return { error: "Campaign not found", status: 404 };
+    if (!["draft", "paused"].includes(campaign.status) || running.has(id)) {
+      return { error: `Campaign is ${campaign.status} and cannot be started`, status: 409 };
+    }
+
+    if (campaign.status === "draft") {
+      campaign.recipients = contacts.resolveAudience({ ...campaign.audience, tenantId: campaign.tenantId || undefined }).filter(phone => !isOptedOut(phone)).map(phone => ({
+        phone,
+        status: "pending",
+        messageId: null,
+        error: null,
+        updatedAt: null
+      }));
+      campaign.startedAt = new Date().toISOString();
+    }
+    campaign.status = "sending";
+    writer.flush();
+    console.log(`📣 Campaign "${campaign.name}" sending to ${campaign.recipients.filter(r => r.status === "pending").length} recipients`);
+
+    run(campaign);
+    return { campaign: summarize(campaign) };
+  }
+
+  function setStatus(id, status, allowedFrom) {
+    const campaign = get(id);
+    if (!campaign) return { error: "Campaign not found", status: 404 };
+    if (!allowedFrom.includes(campaign.status)) {
+      return { error: `Campaign is ${campaign.status}`, status: 409 };
+    }
+    campaign.status = status;
+    writer.flush();
+    return { campaign: summarize(campaign) };
+  }
+
+  const pause = (id) => setStatus(id, "paused", ["sending"]);
+  const cancel = (id) => setStatus(id, "cancelled", ["draft", "sending", "paused"]);
+
+  // Apply a webhook status event ({ id, status, errors }); returns true for campaign messages
+  function recordStatus(event) {
+    const match = byMessageId.get(event.id);
+    if (!match) return false;
+    const { recipient } = match;
+
+    if (event.status === "failed") {
+      recipient.status = "failed";
+      recipient.error = event.errors?.[0]?.title || event.errors?.[0]?.message || "failed";
+    } else if ((DELIVERY_RANK[event.status] || 0) > (DELIVERY_RANK[recipient.status] ?? Infinity)) {
+      recipient.status = event.status;
+    } else {
+      return true;
+    }
+    recipient.updatedAt = new Date().toISOString();
+    writer.save();
+    return true;
+  }
+
+  // A customer's delivery records across all campaigns
+  function recipientsFor(phone) {
+    return campaigns.flatMap(c => c.recipients
+      .filter(r => r.phone === phone)
+      .map(r => ({ campaignId: c.id, campaignName: c.name, ...r })));
+  }
+
+  // Remove a customer from every campaign's recipient list; returns the number of entries removed
+  function forgetPhone(phone) {
+    let removed = 0;
+    for (const campaign of campaigns) {
+      const kept = campaign.recipients.filter(r => r.phone !== phone);
+      removed += campaign.recipients.length - kept.length;
+      for (const r of campaign.recipients) {
+        if (r.phone === phone && r.messageId) byMessageId.delete(r.messageId);
+      }
+      campaign.recipients = kept;
+    }
+    if (removed) writer.flush();
+    return removed;
+  }
+
+  return { list, get, create, start, pause, cancel, recordStatus, summarize, recipientsFor, forgetPhone };
+}
+
+module.exports = { CAMPAIGN_STATUSES, createCampaignService, validateCampaign };
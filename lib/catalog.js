@@ -0,0 +1,271 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const xlsx = require("xlsx");
+const axios = require("axios");
+const { writeFileAtomic } = require("./fileUtils");
+const { toDirectImageUrl } = require("./whatsapp");
+const { REQUIRED_COLUMNS, applySchema, summarizeReport } = require("./catalogSchema");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📊 PRODUCT CATALOG STORE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const SUPPORTED_EXTENSIONS = [".xlsx", ".xls", ".csv"];
+
+// Dead image links: each load's Image URLs are fetched in the background (CATALOG_CHECK_IMAGES=false to skip)
+const CHECK_IMAGES = process.env.CATALOG_CHECK_IMAGES !== "false";
+const IMAGE_CHECK_TIMEOUT_MS = Number(process.env.CATALOG_IMAGE_CHECK_TIMEOUT_MS) || 5000;
+const IMAGE_CHECK_CONCURRENCY = 5;
+
+// Workbook format written for each catalog file extension
+const BOOK_TYPES = { ".xlsx": "xlsx", ".xls": "biff8", ".csv": "csv" };
+
+// Parse an uploaded workbook (xlsx, xls or csv) into product rows
+function parseWorkbook(buffer, fileName) {
+  const ext = path.extname(fileName || "").toLowerCase();
+  if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+    throw new Error(`Unsupported file type "${ext || fileName}". Upload one of: ${SUPPORTED_EXTENSIONS.join(", ")}`);
+  }
+
+  const workbook = ext === ".csv"
+    ? xlsx.read(buffer.toString("utf8"), { type: "string" })
+    : xlsx.read(buffer, { type: "buffer" });
+
+  const sheetName = workbook.SheetNames[0];
+  if (!sheetName) {
+    throw new Error("Workbook has no sheets");
+  }
+
+  return xlsx.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: "" });
+}
+
+// Serialize rows in the format the file name calls for (a tenant's catalog may be .csv)
+function writeWorkbook(rows, fileName) {
+  const sheet = xlsx.utils.json_to_sheet(rows);
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, sheet, "Products");
+
+  const bookType = BOOK_TYPES[path.extname(fileName).toLowerCase()] || "xlsx";
+  if (bookType === "csv") {
+    return Buffer.from(xlsx.write(workbook, { type: "string", bookType }), "utf8");
+  }
+  return xlsx.write(workbook, { type: "buffer", bookType });
+}
+
+// Check that a schema pass found every required column and at least one usable product
+function validateRows(products, report) {
+  if (report.missingColumns.length > 0) {
+    return { valid: false, missingColumns: report.missingColumns, error: `Missing required columns: ${report.missingColumns.join(", ")}` };
+  }
+  if (!products.length) {
+    return { valid: false, missingColumns: [], error: report.totalRows ? "No usable product rows (see the validation report)" : "Catalog has no product rows" };
+  }
+
+  return { valid: true, missingColumns: [] };
+}
+
+// Why an image link cannot be fetched (as WhatsApp would fetch it), or null if it can
+async function imageProblem(url, timeoutMs) {
+  try {
+    const response = await axios.get(toDirectImageUrl(url), {
+      timeout: timeoutMs,
+      headers: { Range: "bytes=0-0" },
+      responseType: "stream",
+      maxRedirects: 5,
+      validateStatus: () => true
+    });
+    response.data.destroy();
+    return response.status < 400 ? null : `image unreachable (HTTP ${response.status})`;
+  } catch (err) {
+    return `image unreachable (${err.code || err.message})`;
+  }
+}
+
+// Fetch every product's Image URL and add the dead ones to the load's report
+async function checkImageLinks(products, report, { rowNumbers = new Map(), timeoutMs = IMAGE_CHECK_TIMEOUT_MS, concurrency = IMAGE_CHECK_CONCURRENCY } = {}) {
+  const withImages = products.filter(p => p["Image URL"]);
+  report.imageCheck = { status: "pending", checked: 0, unreachable: 0, finishedAt: null };
+
+  let next = 0;
+  async function worker() {
+    while (next < withImages.length) {
+      const product = withImages[next++];
+      const problem = await imageProblem(product["Image URL"], timeoutMs);
+      report.imageCheck.checked++;
+      if (!problem) continue;
+      const row = rowNumbers.get(product) || null;
+      report.imageCheck.unreachable++;
+      report.issues.push({ row, jewelCode: product["JewelCode"], column: "Image URL", severity: "warning", problem, value: product["Image URL"] });
+      report.missingImages.push({ row, jewelCode: product["JewelCode"] });
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, withImages.length) }, worker));
+
+  report.imageCheck.status = "done";
+  report.imageCheck.finishedAt = new Date().toISOString();
+  if (report.imageCheck.unreachable > 0) {
+    console.warn(`⚠️ Catalog image check: ${report.imageCheck.unreachable} of ${withImages.length} image links unreachable (GET /admin/catalog/report)`);
+  }
+  return report;
+}
+
+function logReport(report) {
+  const { errors, warnings, duplicateCodes, missingImages } = summarizeReport(report);
+  if (errors || warnings) {
+    console.warn(`⚠️ Catalog validation: ${errors} errors, ${warnings} warnings, ${duplicateCodes} duplicate codes, ${missingImages} missing images (GET /admin/catalog/report)`);
+  }
+}
+
+// Create a catalog store backed by an Excel file on disk
+function createCatalogStore({ filePath, columns = {} }) {
+  const backupPath = filePath.replace(/(\.[^.]+)$/, ".previous$1");
+  let current = null;
+  let previous = null;
+  let versionCounter = 0;
+  const listeners = [];
+
+  // Tell subscribers (e.g. the semantic index) that the live catalog changed
+  function notifyChange() {
+    for (const listener of listeners) {
+      try {
+        listener(current.products, current);
+      } catch (err) {
+        console.error("❌ Catalog change listener failed:", err);
+      }
+    }
+  }
+
+  function buildSnapshot(products, source, buffer, report = null) {
+    versionCounter += 1;
+    return {
+      version: versionCounter,
+      checksum: crypto.createHash("sha256").update(buffer).digest("hex").slice(0, 12),
+      loadedAt: new Date().toISOString(),
+      source,
+      products,
+      report
+    };
+  }
+
+  // Runs after the load it belongs to has gone live; results land in that load's report
+  function startImageCheck(products, report, rowNumbers) {
+    if (!CHECK_IMAGES) return;
+    checkImageLinks(products, report, { rowNumbers })
+      .catch(err => console.error("❌ Catalog image check failed:", err.message));
+  }
+
+  // Load the catalog file from disk (used at startup)
+  function loadFromDisk() {
+    if (!fs.existsSync(filePath)) {
+      console.error("❌ Excel file not found:", filePath);
+      current = buildSnapshot([], filePath, Buffer.alloc(0));
+      notifyChange();
+      return current;
+    }
+
+    try {
+      const buffer = fs.readFileSync(filePath);
+      const { products, report, rowNumbers } = applySchema(parseWorkbook(buffer, filePath), { columns, source: filePath });
+      current = buildSnapshot(products, filePath, buffer, report);
+      startImageCheck(products, report, rowNumbers);
+      console.log(`✅ Loaded ${products.length} products from Excel (catalog v${current.version})`);
+      if (report.missingColumns.length > 0) {
+        console.error(`❌ Catalog is missing required columns: ${report.missingColumns.join(", ")}`);
+      }
+      logReport(report);
+    } catch (error) {
+      console.error("❌ Error reading Excel file:", error);
+      current = buildSnapshot([], filePath, Buffer.alloc(0));
+    }
+    notifyChange();
+    return current;
+  }
+
+  // Validate an uploaded workbook and swap it in as the live catalog
+  function replaceFromUpload(buffer, originalName) {
+    const rows = parseWorkbook(buffer, originalName);
+    const { products, report, rowNumbers } = applySchema(rows, { columns, source: originalName });
+    const validation = validateRows(products, report);
+    if (!validation.valid) {
+      const err = new Error(validation.error);
+      err.missingColumns = validation.missingColumns;
+      err.report = report;
+      throw err;
+    }
+
+    // Persist the rows as uploaded, in the catalog file's own format, so the next
+    // restart picks up the same catalog and reproduces the same validation report
+    const fileBuffer = writeWorkbook(rows, filePath);
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (fs.existsSync(filePath)) {
+      fs.copyFileSync(filePath, backupPath);
+    }
+    writeFileAtomic(filePath, fileBuffer);
+
+    // Swap the in-memory reference in one step; readers holding the old
+    // snapshot (e.g. pagination state) keep working with their rows
+    previous = current;
+    current = buildSnapshot(products, originalName, buffer, report);
+    startImageCheck(products, report, rowNumbers);
+    console.log(`✅ Catalog replaced from upload "${originalName}": ${products.length} products (v${current.version})`);
+    logReport(report);
+    notifyChange();
+    return current;
+  }
+
+  // Restore the previous catalog version
+  function rollback() {
+    if (!previous) {
+      throw new Error("No previous catalog version to roll back to");
+    }
+
+    if (fs.existsSync(backupPath)) {
+      const restored = fs.readFileSync(backupPath);
+      fs.copyFileSync(filePath, backupPath);
+      writeFileAtomic(filePath, restored);
+    }
+
+    [current, previous] = [previous, current];
+    console.log(`↩️ Catalog rolled back to v${current.version} (${current.products.length} products)`);
+    notifyChange();
+    return current;
+  }
+
+  // Look up a product by JewelCode (case-insensitive)
+  function findByCode(jewelCode) {
+    if (!current || !jewelCode) return null;
+    if (!current.codeIndex) {
+      current.codeIndex = new Map(current.products.map(p => [String(p["JewelCode"] || "").trim().toLowerCase(), p]));
+    }
+    return current.codeIndex.get(String(jewelCode).trim().toLowerCase()) || null;
+  }
+
+  function describe(snapshot) {
+    if (!snapshot) return null;
+    const { version, checksum, loadedAt, source, products, report } = snapshot;
+    return { version, checksum, loadedAt, source, productCount: products.length, validation: summarizeReport(report) };
+  }
+
+  return {
+    loadFromDisk,
+    replaceFromUpload,
+    rollback,
+    findByCode,
+    onChange: (listener) => listeners.push(listener),
+    getProducts: () => (current ? current.products : []),
+    getReport: () => (current ? current.report : null),
+    getInfo: () => ({ current: describe(current), previous: describe(previous) })
+  };
+}
+
+module.exports = {
+  REQUIRED_COLUMNS,
+  SUPPORTED_EXTENSIONS,
+  checkImageLinks,
+  createCatalogStore,
+  parseWorkbook,
+  validateRows,
+  writeWorkbook
+};
@@ -0,0 +1,201 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🧾 CATALOG SCHEMA & VALIDATION REPORT
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Every workbook row is mapped onto the columns below before the bot sees it:
+//   aliases -> other headers the export may use ("Item Code", "MRP", "Purity", ...)
+//   type    -> "string" | "number" (prices, weights, quantities) | "purity" ("18 kt" -> "18KT") | "url"
+// A header that matches nothing is kept under its own name.
+//
+// Report shape (one per catalog load):
+//   { source, generatedAt, totalRows, loadedRows, skippedRows, headers, missingColumns, unknownHeaders,
+//     issues: [{ row, jewelCode, column, severity, problem, value }], duplicates: [{ jewelCode, rows }], missingImages: [{ row, jewelCode }],
+//     imageCheck: { status, checked, unreachable, finishedAt } }
+//   row      -> the spreadsheet row number (the header is row 1)
+//   imageCheck -> whether the Image URLs were fetched to find dead links (see lib/catalog.js):
+//               "pending" | "done" | "skipped" (CATALOG_CHECK_IMAGES=false); until "done", only empty
+//               and non-web links are reported
+//   severity -> "error" (row not served) | "warning" (row served, value cleared or left as-is)
+
+const CATALOG_SCHEMA = [
+  { column: "JewelCode", aliases: ["Jewel Code", "Item Code", "ItemCode", "SKU", "Design No", "Design Code", "Product Code"], type: "string", required: true },
+  { column: "Product Category", aliases: ["Category", "Item Category", "Product Type"], type: "string", required: true },
+  { column: "Sub Category", aliases: ["SubCategory", "Sub-Category", "Sub Cat"], type: "string", required: true },
+  { column: "Collection", aliases: ["Collection Name"], type: "string" },
+  { column: "Style", aliases: ["Design", "Style Name"], type: "string" },
+  { column: "Gold Purity", aliases: ["Purity", "Karat", "Metal Purity", "Gold KT"], type: "purity", required: true },
+  { column: "Sale Price", aliases: ["Price", "MRP", "Selling Price", "Sale Amt", "Amount"], type: "number", required: true },
+  { column: "Diamond Colour", aliases: ["Diamond Color", "Dia Colour", "Dia Color"], type: "string" },
+  { column: "Diamond Clarity", aliases: ["Dia Clarity", "Clarity"], type: "string" },
+  { column: "quality code", aliases: ["Quality", "Quality Code"], type: "string" },
+  { column: "Gender Name", aliases: ["Gender"], type: "string" },
+  { column: "Qty", aliases: ["Quantity", "Stock", "Stock Qty"], type: "number" },
+  { column: "Gross Wt", aliases: ["Gross Weight", "GrossWt", "Gross Wt (g)"], type: "number" },
+  { column: "Net Wt", aliases: ["Net Weight", "NetWt", "Net Wt (g)", "Gold Wt"], type: "number" },
+  { column: "Metal Amt", aliases: ["Metal Amount", "Gold Amt"], type: "number" },
+  { column: "Dia Wt", aliases: ["Diamond Wt", "Diamond Weight"], type: "number" },
+  { column: "Dia Amt", aliases: ["Diamond Amt", "Diamond Amount"], type: "number" },
+  { column: "CS Wt", aliases: ["Colour Stone Wt", "Stone Wt"], type: "number" },
+  { column: "CS Amt", aliases: ["Colour Stone Amt", "Stone Amt"], type: "number" },
+  { column: "Image URL", aliases: ["Image", "Image Link", "ImageURL", "Photo", "Photo URL"], type: "url", required: true }
+];
+
+const REQUIRED_COLUMNS = CATALOG_SCHEMA.filter(c => c.required).map(c => c.column);
+
+// Hallmark fineness -> karat
+const FINENESS = { 999: 24, 995: 24, 958: 23, 916: 22, 875: 21, 833: 20, 750: 18, 585: 14, 417: 10, 375: 9 };
+
+// "Item Code", "item_code" and "ITEM CODE" are the same header
+const headerKey = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const HEADER_LOOKUP = new Map(CATALOG_SCHEMA.flatMap(def =>
+  [def.column, ...def.aliases].map(name => [headerKey(name), def.column])));
+
+const SCHEMA_BY_COLUMN = new Map(CATALOG_SCHEMA.map(def => [def.column, def]));
+
+// Workbook header -> schema column; a tenant's own mapping wins over the aliases
+function resolveHeader(header, columns = {}) {
+  if (columns[header]) return columns[header];
+  return HEADER_LOOKUP.get(headerKey(header)) || header;
+}
+
+// "18 kt", "18K", "18 Karat", "750" and "18K750" -> "18KT"; null when no karat can be read
+function normalizePurity(value) {
+  const text = String(value ?? "").trim().toUpperCase();
+  if (!text) return null;
+  // Not \b after the unit: a hallmark's fineness may follow straight on ("18K750")
+  const karat = text.match(/(\d{1,2})\s*(?:KT|K|KARAT|CARAT|CT)(?![A-Z])/) || text.match(/^(\d{1,2})$/);
+  if (karat && Number(karat[1]) >= 8 && Number(karat[1]) <= 24) return `${Number(karat[1])}KT`;
+  const fineness = text.match(/\b(\d{3})\b/);
+  if (fineness && FINENESS[fineness[1]]) return `${FINENESS[fineness[1]]}KT`;
+  return null;
+}
+
+// "₹45,000", "45000/-", "Rs. 45,000.50" and 45000 -> numbers; "" -> null; anything else -> NaN
+function parseNumber(value) {
+  if (typeof value === "number") return value;
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  const cleaned = text.replace(/^(?:₹|rs\.?|inr)\s*/i, "").replace(/\/-$/, "").replace(/,/g, "").replace(/\s*(?:g|gm|gms|grams?)$/i, "").trim();
+  return /^-?\d+(\.\d+)?$/.test(cleaned) ? Number(cleaned) : NaN;
+}
+
+const isHttpUrl = (value) => /^https?:\/\/\S+$/i.test(String(value || "").trim());
+
+// Map raw workbook rows onto the schema; returns the rows to serve and the validation report
+function applySchema(rows, { columns = {}, source = null } = {}) {
+  const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const headerMap = Object.fromEntries(headers.map(h => [h, resolveHeader(h, columns)]));
+  const mappedColumns = new Set(Object.values(headerMap));
+  const report = {
+    source,
+    generatedAt: new Date().toISOString(),
+    totalRows: rows.length,
+    loadedRows: 0,
+    skippedRows: 0,
+    headers: Object.fromEntries(Object.entries(headerMap).filter(([raw, column]) => raw !== column)),
+    missingColumns: REQUIRED_COLUMNS.filter(c => !mappedColumns.has(c)),
+    unknownHeaders: headers.filter(h => !SCHEMA_BY_COLUMN.has(headerMap[h])),
+    issues: [],
+    duplicates: [],
+    missingImages: [],
+    imageCheck: { status: "skipped", checked: 0, unreachable: 0, finishedAt: null }
+  };
+
+  const products = [];
+  const rowsByCode = new Map();
+  const rowNumbers = new Map(); // served product -> spreadsheet row
+
+  rows.forEach((raw, index) => {
+    const rowNumber = index + 2;
+    const product = {};
+    for (const [header, value] of Object.entries(raw)) {
+      product[headerMap[header]] = typeof value === "string" ? value.trim() : value;
+    }
+    const jewelCode = String(product["JewelCode"] ?? "").trim();
+    const issue = (column, severity, problem, value) =>
+      report.issues.push({ row: rowNumber, jewelCode: jewelCode || null, column, severity, problem, value: value ?? null });
+
+    if (!jewelCode) {
+      issue("JewelCode", "error", "missing JewelCode");
+      report.skippedRows++;
+      return;
+    }
+    product["JewelCode"] = jewelCode;
+
+    const key = jewelCode.toLowerCase();
+    if (rowsByCode.has(key)) {
+      rowsByCode.get(key).rows.push(rowNumber);
+      issue("JewelCode", "error", "duplicate JewelCode (first row kept)", jewelCode);
+      report.skippedRows++;
+      return;
+    }
+    rowsByCode.set(key, { jewelCode, rows: [rowNumber] });
+
+    for (const def of CATALOG_SCHEMA) {
+      const value = product[def.column];
+      const empty = value === undefined || value === null || value === "";
+
+      if (def.type === "number" && !empty) {
+        const num = parseNumber(value);
+        if (Number.isNaN(num)) {
+          issue(def.column, "warning", "not a number (cleared)", value);
+          product[def.column] = "";
+        } else {
+          product[def.column] = num;
+        }
+      }
+
+      if (def.type === "purity" && !empty) {
+        const purity = normalizePurity(value);
+        if (purity) product[def.column] = purity;
+        else issue(def.column, "warning", "unrecognised purity (kept as-is)", value);
+      }
+
+      if (def.type === "url") {
+        if (empty) {
+          issue(def.column, "warning", "no image");
+          report.missingImages.push({ row: rowNumber, jewelCode });
+        } else if (!isHttpUrl(value)) {
+          issue(def.column, "warning", "not a web link (cleared)", value);
+          report.missingImages.push({ row: rowNumber, jewelCode });
+          product[def.column] = "";
+        }
+      }
+    }
+
+    if (!(product["Sale Price"] > 0) && !(product["Net Wt"] > 0)) {
+      issue("Sale Price", "warning", "no price and no net weight to price it from");
+    }
+
+    products.push(product);
+    rowNumbers.set(product, rowNumber);
+  });
+
+  report.duplicates = [...rowsByCode.values()].filter(d => d.rows.length > 1);
+  report.loadedRows = products.length;
+  return { products, report, rowNumbers };
+}
+
+// Counts for log lines and API responses
+function summarizeReport(report) {
+  if (!report) return null;
+  const { issues, duplicates, missingImages, ...rest } = report;
+  return {
+    ...rest,
+    errors: issues.filter(i => i.severity === "error").length,
+    warnings: issues.filter(i => i.severity === "warning").length,
+    duplicateCodes: duplicates.length,
+    missingImages: missingImages.length
+  };
+}
+
+module.exports = {
+  CATALOG_SCHEMA,
+  REQUIRED_COLUMNS,
+  applySchema,
+  normalizePurity,
+  parseNumber,
+  resolveHeader,
+  summarizeReport
+};
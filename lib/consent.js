@@ -0,0 +1,59 @@
+const { readJsonFile, writeJsonFile } = require("./fileUtils");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ✋ CONSENT (STOP / START)
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// A customer who sends STOP is put on the opt-out list and receives nothing
+// further (replies, campaigns, staff messages) until they send START. START only
+// lifts the opt-out: campaigns still need marketing consent (PUT /admin/contacts/:phone/opt-in).
+// The list is kept even when the rest of a customer's data is deleted,
+// otherwise we could not keep honouring the STOP.
+
+const STOP_PATTERN = /^\s*(stop|stop all|unsubscribe|opt ?out|band karo|बंद करो)\s*[.!]*\s*$/i;
+const START_PATTERN = /^\s*(start|unstop|subscribe|opt ?in|shuru karo|चालू करो|शुरू करो)\s*[.!]*\s*$/i;
+
+// "stop", "start" or null for a customer message
+function parseConsentKeyword(text) {
+  if (STOP_PATTERN.test(text || "")) return "stop";
+  if (START_PATTERN.test(text || "")) return "start";
+  return null;
+}
+
+// Create the opt-out list, persisted as one JSON file
+function createOptOutList({ filePath }) {
+  const optOuts = readJsonFile(filePath, { optOuts: {} }).optOuts || {};
+  console.log(`✋ Loaded ${Object.keys(optOuts).length} opted-out numbers`);
+
+  function persist() {
+    writeJsonFile(filePath, { optOuts });
+  }
+
+  function has(phone) {
+    return Object.prototype.hasOwnProperty.call(optOuts, String(phone));
+  }
+
+  function add(phone, source = "keyword") {
+    optOuts[String(phone)] = { optedOutAt: new Date().toISOString(), source };
+    persist();
+  }
+
+  function remove(phone) {
+    if (!has(phone)) return false;
+    delete optOuts[String(phone)];
+    persist();
+    return true;
+  }
+
+  function get(phone) {
+    return has(phone) ? { phone: String(phone), ...optOuts[String(phone)] } : null;
+  }
+
+  function list() {
+    return Object.entries(optOuts).map(([phone, entry]) => ({ phone, ...entry }));
+  }
+
+  return { has, add, remove, get, list };
+}
+
+module.exports = { createOptOutList, parseConsentKeyword };
@@ -0,0 +1,170 @@
+const { readJsonFile, createDebouncedJsonWriter } = require("./fileUtils");
+const { tokenize } = require("./search");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📇 CONTACTS (campaign audiences)
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Contact shape:
+//   { phone, name, tenantIds, firstSeenAt, lastInboundAt, optedIn, optedInAt, searches: [{ query, at, tenantId }], lastDelivery }
+//   tenantIds    -> the stores this customer has messaged; a store's campaigns only reach its own customers
+//   searches     -> recent catalog searches, newest last, for audiences like "searched bangles"
+//   lastDelivery -> { messageId, status, at, error } from the latest status webhook
+
+const MAX_SEARCHES_PER_CONTACT = 50;
+const SEARCH_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Check an audience payload; returns an error message or null. Campaigns only ever reach
+// contacts who opted in, so every audience is narrowed to them:
+//   { optedIn: true }                          -> everyone who opted in
+//   { searched: "bangles", withinDays: 30 }    -> searched for bangles in the last 30 days
+//   { phones: ["9198..."] }                    -> an explicit list
+function validateAudience(audience) {
+  if (!audience || typeof audience !== "object") return "audience must be an object";
+  const { optedIn, searched, withinDays, phones } = audience;
+  if (optedIn === undefined && searched === undefined && phones === undefined) {
+    return "audience needs at least one of: optedIn, searched, phones";
+  }
+  if (optedIn !== undefined && optedIn !== true) return "audience.optedIn must be true (campaigns only reach contacts who opted in)";
+  if (searched !== undefined && (typeof searched !== "string" || !tokenize(searched).length)) return "audience.searched must be a search phrase";
+  if (withinDays !== undefined && (!Number.isInteger(withinDays) || withinDays < 1)) return "audience.withinDays must be a positive whole number";
+  if (phones !== undefined && (!Array.isArray(phones) || !phones.every(p => /^\d+$/.test(String(p))))) return "audience.phones must be an array of phone numbers (digits only)";
+  return null;
+}
+
+// Create the contact store, persisted as one JSON file
+function createContactStore({ filePath }) {
+  const contacts = readJsonFile(filePath, { contacts: {} }).contacts || {};
+
+  // Inbound traffic updates contacts constantly, so writes are batched
+  const writer = createDebouncedJsonWriter(filePath, () => ({ contacts }));
+  const persist = writer.save;
+  console.log(`📇 Loaded ${Object.keys(contacts).length} contacts`);
+
+  function ensure(phone) {
+    if (!contacts[phone]) {
+      contacts[phone] = {
+        phone,
+        name: null,
+        tenantIds: [],
+        firstSeenAt: new Date().toISOString(),
+        lastInboundAt: null,
+        optedIn: false,
+        optedInAt: null,
+        searches: [],
+        lastDelivery: null
+      };
+    }
+    return contacts[phone];
+  }
+
+  function get(phone) {
+    return contacts[phone] || null;
+  }
+
+  // A customer messaged one of our stores (opens the 24-hour service window)
+  function recordInbound(phone, { name, tenantId } = {}) {
+    const contact = ensure(phone);
+    contact.lastInboundAt = new Date().toISOString();
+    if (name) contact.name = name;
+    if (tenantId && !contact.tenantIds.includes(tenantId)) contact.tenantIds.push(tenantId);
+    persist();
+  }
+
+  function recordSearches(phone, queries, { tenantId = null } = {}) {
+    const cleaned = (queries || []).map(q => String(q || "").trim()).filter(Boolean);
+    if (cleaned.length === 0) return;
+    const contact = ensure(phone);
+    const at = new Date().toISOString();
+    const cutoff = Date.now() - SEARCH_RETENTION_DAYS * DAY_MS;
+    contact.searches = [...contact.searches, ...cleaned.map(query => ({ query, at, tenantId }))]
+      .filter(s => new Date(s.at).getTime() >= cutoff)
+      .slice(-MAX_SEARCHES_PER_CONTACT);
+    persist();
+  }
+
+  function setOptIn(phone, optedIn) {
+    const contact = ensure(phone);
+    contact.optedIn = optedIn;
+    contact.optedInAt = optedIn ? new Date().toISOString() : null;
+    persist();
+    return contact;
+  }
+
+  function recordDelivery(phone, delivery) {
+    ensure(phone).lastDelivery = delivery;
+    persist();
+  }
+
+  // Contacts and searches recorded before stores were tracked belong to the default store
+  function assignLegacyContacts(tenantId) {
+    let assigned = 0;
+    for (const contact of Object.values(contacts)) {
+      if (Array.isArray(contact.tenantIds)) continue;
+      contact.tenantIds = [tenantId];
+      contact.searches.forEach(s => { s.tenantId = s.tenantId || tenantId; });
+      assigned++;
+    }
+    if (assigned > 0) {
+      console.log(`📇 Assigned ${assigned} contacts recorded before multi-store support to ${tenantId}`);
+      persist();
+    }
+  }
+
+  // Opted-in phones matching every condition in the audience; with tenantId, only
+  // customers of that store, matched on the searches they made there
+  function resolveAudience({ searched, withinDays = 30, phones, tenantId } = {}) {
+    const searchTokens = searched ? tokenize(searched) : null;
+    const cutoff = Date.now() - withinDays * DAY_MS;
+    const explicit = phones ? new Set(phones.map(String)) : null;
+
+    const candidates = explicit
+      ? [...explicit].map(phone => contacts[phone] || { phone, tenantIds: [], optedIn: false, searches: [] })
+      : Object.values(contacts);
+
+    return candidates
+      .filter(c => !tenantId || c.tenantIds.includes(tenantId))
+      .filter(c => c.optedIn)
+      .filter(c => !searchTokens || c.searches.some(s => {
+        if (tenantId && s.tenantId !== tenantId) return false;
+        if (new Date(s.at).getTime() < cutoff) return false;
+        const tokens = new Set(tokenize(s.query));
+        return searchTokens.every(t => tokens.has(t));
+      }))
+      .map(c => c.phone);
+  }
+
+  function remove(phone) {
+    if (!contacts[phone]) return false;
+    delete contacts[phone];
+    persist();
+    return true;
+  }
+
+  // Forget searches older than the retention window, and contacts who never opted in
+  // and have not messaged within it; returns the number of contacts removed
+  function purgeInactive(retentionDays) {
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    let removed = 0;
+    for (const [phone, contact] of Object.entries(contacts)) {
+      const lastSeen = new Date(contact.lastInboundAt || contact.firstSeenAt).getTime();
+      if (!contact.optedIn && lastSeen < cutoff) {
+        delete contacts[phone];
+        removed++;
+        continue;
+      }
+      contact.searches = contact.searches.filter(s => new Date(s.at).getTime() >= cutoff);
+    }
+    persist();
+    return removed;
+  }
+
+  function list({ optedIn } = {}) {
+    return Object.values(contacts).filter(c => optedIn === undefined || !!c.optedIn === optedIn);
+  }
+
+  return { get, list, recordInbound, recordSearches, setOptIn, recordDelivery, resolveAudience, assignLegacyContacts, remove, purgeInactive, flush: writer.flush };
+}
+
+module.exports = { createContactStore, validateAudience };
@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+const { OpenAI } = require("openai");
+const { withRetries } = require("./llm");
+const { tokenize } = require("./search");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🧭 EMBEDDING PROVIDERS
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Every provider exposes:
+//   name, model
+//   embed(texts) -> [Float32Array] (one unit-length vector per text)
+
+const DEFAULT_EMBEDDING_MODEL = "text-embedding-3-small";
+const BATCH_SIZE = 100;
+const LOCAL_DIMENSIONS = 256;
+
+// Scale a vector to unit length so a dot product is the cosine similarity
+function normalize(vector) {
+  let norm = 0;
+  for (const v of vector) norm += v * v;
+  norm = Math.sqrt(norm) || 1;
+  return Float32Array.from(vector, v => v / norm);
+}
+
+// OpenAI (or compatible) embeddings endpoint
+function createOpenAIEmbeddingProvider({ apiKey, baseURL, model = DEFAULT_EMBEDDING_MODEL, timeoutMs = 30000, maxRetries = 2 }) {
+  const client = new OpenAI({
+    apiKey: apiKey || (baseURL ? "not-needed" : undefined),
+    baseURL: baseURL || undefined,
+    timeout: timeoutMs,
+    maxRetries: 0
+  });
+
+  return {
+    name: "openai",
+    model,
+    async embed(texts) {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+        const batch = texts.slice(i, i + BATCH_SIZE);
+        const response = await withRetries(
+          () => client.embeddings.create({ model, input: batch }),
+          { maxRetries, label: `${model} embeddings` }
+        );
+        response.data
+          .sort((a, b) => a.index - b.index)
+          .forEach(item => vectors.push(normalize(item.embedding)));
+      }
+      return vectors;
+    }
+  };
+}
+
+// Offline provider: hashed bag of canonical search tokens and word pairs.
+// No notion of meaning beyond the search synonyms, but deterministic and free.
+function createLocalEmbeddingProvider({ dimensions = LOCAL_DIMENSIONS } = {}) {
+  function bucket(feature) {
+    const hash = crypto.createHash("md5").update(feature).digest();
+    return { index: hash.readUInt32BE(0) % dimensions, sign: hash[4] & 1 ? 1 : -1 };
+  }
+
+  return {
+    name: "local",
+    model: `hashed-${dimensions}`,
+    async embed(texts) {
+      return texts.map(text => {
+        const vector = new Float32Array(dimensions);
+        const tokens = tokenize(text);
+        const features = [...tokens, ...tokens.slice(1).map((t, i) => `${tokens[i]}_${t}`)];
+        for (const feature of features) {
+          const { index, sign } = bucket(feature);
+          vector[index] += sign;
+        }
+        return normalize(vector);
+      });
+    }
+  };
+}
+
+// Build the provider selected by EMBEDDING_PROVIDER ("openai" or "local")
+function createEmbeddingProvider(env = process.env) {
+  const defaultProvider = (env.LLM_PROVIDER || "openai").toLowerCase() === "mock" ? "local" : "openai";
+  const type = (env.EMBEDDING_PROVIDER || defaultProvider).toLowerCase();
+
+  if (type === "local") {
+    return createLocalEmbeddingProvider();
+  }
+
+  return createOpenAIEmbeddingProvider({
+    apiKey: env.EMBEDDING_API_KEY || env.LLM_API_KEY || env.OPENAI_API_KEY,
+    baseURL: env.EMBEDDING_BASE_URL || env.LLM_BASE_URL,
+    model: env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL
+  });
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  createOpenAIEmbeddingProvider,
+  createLocalEmbeddingProvider,
+  normalize
+};
@@ -0,0 +1,74 @@
+const XLSX = require("xlsx");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📤 CSV / XLSX EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" }
+};
+
+// Text a spreadsheet would run as a formula when the CSV is opened ("=HYPERLINK(...)", "@SUM(...)")
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Arrays become "a, b" and objects JSON so every cell is a plain value; with escapeFormulas,
+// customer text that looks like a formula gets a leading ' so it stays text
+function toSheet(rows, { escapeFormulas = false } = {}) {
+  const flat = rows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => {
+    if (Array.isArray(value)) value = value.join(", ");
+    else if (value && typeof value === "object") value = JSON.stringify(value);
+    if (escapeFormulas && typeof value === "string" && FORMULA_START.test(value)) value = `'${value}`;
+    return [key, value ?? ""];
+  })));
+  return XLSX.utils.json_to_sheet(flat);
+}
+
+// Flat rows -> file contents
+function buildExport(rows, { format = "csv", sheetName = "Export" } = {}) {
+  const type = EXPORT_FORMATS[format];
+  if (!type) {
+    throw new Error(`Unsupported export format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(" or ")})`);
+  }
+
+  const sheet = toSheet(rows, { escapeFormulas: format === "csv" });
+
+  if (format === "csv") {
+    return { ...type, body: Buffer.from(XLSX.utils.sheet_to_csv(sheet), "utf8") };
+  }
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, sheetName.slice(0, 31));
+  return { ...type, body: XLSX.write(workbook, { type: "buffer", bookType: "xlsx" }) };
+}
+
+// Several named row sets -> one XLSX workbook, one sheet each
+function buildWorkbook(sheets) {
+  const workbook = XLSX.utils.book_new();
+  for (const [name, rows] of Object.entries(sheets)) {
+    XLSX.utils.book_append_sheet(workbook, toSheet(rows), name.slice(0, 31));
+  }
+  return { ...EXPORT_FORMATS.xlsx, body: XLSX.write(workbook, { type: "buffer", bookType: "xlsx" }) };
+}
+
+// Send rows as a download from an Express route (?format=csv|xlsx)
+function sendExport(res, rows, { format = "csv", fileName, sheetName } = {}) {
+  let file;
+  try {
+    file = buildExport(rows, { format, sheetName });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.setHeader("Content-Type", file.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}.${file.extension}"`);
+  res.send(file.body);
+}
+
+// Send a multi-sheet XLSX workbook as a download
+function sendWorkbook(res, sheets, { fileName }) {
+  const file = buildWorkbook(sheets);
+  res.setHeader("Content-Type", file.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}.${file.extension}"`);
+  res.send(file.body);
+}
+
+module.exports = { EXPORT_FORMATS, buildExport, buildWorkbook, sendExport, sendWorkbook };
@@ -0,0 +1,53 @@
+const fs = require("fs");
+const path = require("path");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🗂️ FILE HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Write a file atomically so a crash never leaves it half-written
+function writeFileAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, data);
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Read a JSON file, returning fallback when it does not exist
+function readJsonFile(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error("❌ Error reading JSON file:", filePath, err.message);
+    }
+    return fallback;
+  }
+}
+
+// Pretty-printed JSON write, atomically
+function writeJsonFile(filePath, value) {
+  writeFileAtomic(filePath, JSON.stringify(value, null, 2));
+}
+
+// Batched JSON writes for state that changes many times a second:
+// save() schedules one write after delayMs, flush() writes immediately
+function createDebouncedJsonWriter(filePath, getValue, delayMs = 1000) {
+  let timer = null;
+
+  function flush() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    writeJsonFile(filePath, getValue());
+  }
+
+  function save() {
+    if (timer) return;
+    timer = setTimeout(flush, delayMs);
+    timer.unref();
+  }
+
+  return { save, flush };
+}
+
+module.exports = { writeFileAtomic, readJsonFile, writeJsonFile, createDebouncedJsonWriter };
@@ -0,0 +1,242 @@
+const axios = require("axios");
+const { readJsonFile, writeJsonFile } = require("./fileUtils");
+const { t } = require("./language");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🙋 HUMAN HANDOFF
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// A session in handoff carries:
+//   session.mode    = "human"  (absent or "bot" means the assistant replies)
+//   session.handoff = { reason, status: "queued" | "waiting" | "active", requestedAt, lastCustomerMessageAt, staffRepliedAt }
+//
+// "queued" is a request made while the store is closed: staff are not notified
+// until releaseQueued() runs after opening. The queue is also kept in queueFile,
+// so a request made before a long closure survives the session expiring.
+
+const HANDOFF_REASONS = {
+  CUSTOMER_REQUEST: "customer_request",
+  PURCHASE_INTENT: "purchase_intent",
+  FAILED_SEARCHES: "repeated_failed_searches",
+  STAFF_TAKEOVER: "staff_takeover"
+};
+
+// Asking for a person, not just mentioning one ("gift ring for my manager" stays with the bot)
+const PERSON = "(?:(?:a|an|the|your|some|a real|a live)\\s+)?(?:human|person|someone|somebody|agent|staff|executive|representative|customer care|sales ?person|manager|owner|team|store)";
+const HUMAN_REQUEST_PATTERN = new RegExp([
+  `\\b(?:talk|speak|chat)\\s+(?:to|with)\\s+${PERSON}\\b`,
+  `\\b(?:connect|transfer|put)\\s+me\\s+(?:to|with|through to)\\s+${PERSON}\\b`,
+  `\\b(?:want|need|get me)\\s+(?:to\\s+(?:talk|speak)\\s+(?:to|with)\\s+)?(?:a|an|a real|a live)\\s+(?:human|person|agent|executive|representative|sales ?person)\\b`,
+  "\\b(?:real person|live agent|human agent|human being)\\b",
+  // A one-word "agent" or "human please"; "store" or "manager" alone is too ambiguous, and
+  // "call me" is a callback request for the requestCallback tool
+  "^\\s*(?:(?:a|an|the|some)\\s+)?(?:human|person|agent|staff)(?:\\s+(?:please|pls|plz))?[\\s.!?]*$"
+].join("|"), "i");
+// Holds and store visits are handled by the lead tools, so only buying and paying escalate
+const PURCHASE_PATTERN = /\b(want|like|ready) to (buy|purchase|order) (this|it|that|one)\b|\bplace (an |the )?order\b|\bmake (a |the )?payment\b|\bhow (do|can) i (pay|buy|order|purchase)\b/i;
+
+// Number of zero-result searches in a row before we bring in staff
+const FAILED_SEARCH_LIMIT = Number(process.env.HANDOFF_FAILED_SEARCH_LIMIT) || 3;
+
+// Decide whether a customer message should go to a human
+function detectEscalation(text) {
+  if (!text) return null;
+  if (HUMAN_REQUEST_PATTERN.test(text)) return HANDOFF_REASONS.CUSTOMER_REQUEST;
+  if (PURCHASE_PATTERN.test(text)) return HANDOFF_REASONS.PURCHASE_INTENT;
+  return null;
+}
+
+function isInHandoff(session) {
+  return session?.mode === "human";
+}
+
+// Tell staff via STAFF_WHATSAPP_NUMBER and/or STAFF_WEBHOOK_URL
+async function notifyStaff(event, { sendWhatsApp }) {
+  const tasks = [];
+
+  if (process.env.STAFF_WHATSAPP_NUMBER) {
+    const lines = {
+      handoff_requested: `🙋 Customer ${event.phone} needs a human (${event.reason}).${event.queuedAt ? `\nAsked while the store was closed (${event.queuedAt}).` : ""}\nLast message: "${event.text || "-"}"`,
+      customer_message: `💬 ${event.phone}: "${event.text}"`,
+      lead_created: `📝 New ${event.lead?.type} request from ${event.phone}${event.lead?.slot ? ` for ${event.lead.slot}` : ""}${event.lead?.jewelCodes?.length ? ` (${event.lead.jewelCodes.join(", ")})` : ""}${event.lead?.preferredTime ? `\nPreferred time: ${event.lead.preferredTime}` : ""}`
+    };
+    if (lines[event.type]) {
+      tasks.push(sendWhatsApp(process.env.STAFF_WHATSAPP_NUMBER, lines[event.type]));
+    }
+  }
+
+  if (process.env.STAFF_WEBHOOK_URL) {
+    tasks.push(axios.post(process.env.STAFF_WEBHOOK_URL, { ...event, timestamp: new Date().toISOString() }));
+  }
+
+  if (tasks.length === 0) {
+    console.log(`⚠️ No staff notification channel configured (event: ${event.type} for ${event.phone})`);
+    return;
+  }
+
+  const results = await Promise.allSettled(tasks);
+  results
+    .filter(r => r.status === "rejected")
+    .forEach(r => console.error("❌ Error notifying staff:", r.reason?.response?.data || r.reason?.message));
+}
+
+// Create the handoff service around a session store and a WhatsApp sender
+function createHandoffService({ sessionStore, sendWhatsApp, createEmptySession, queueFile }) {
+  // phone -> { reason, text, queuedAt } for requests waiting for the store to open
+  const queue = queueFile ? readJsonFile(queueFile, { queued: {} }).queued || {} : {};
+
+  function persistQueue() {
+    if (queueFile) writeJsonFile(queueFile, { queued: queue });
+  }
+
+  function dequeue(phone) {
+    if (!queue[phone]) return;
+    delete queue[phone];
+    persistQueue();
+  }
+
+  async function loadSession(phone) {
+    return (await sessionStore.get(phone)) || createEmptySession();
+  }
+
+  // Put a conversation in human mode and notify staff, or queue it until opening
+  async function start(phone, session, reason, lastMessage, { queued = false } = {}) {
+    const now = new Date().toISOString();
+    session.mode = "human";
+    session.handoff = {
+      reason,
+      status: queued ? "queued" : "waiting",
+      requestedAt: now,
+      lastCustomerMessageAt: lastMessage ? now : null,
+      staffRepliedAt: null
+    };
+    session.failedSearches = 0;
+    await sessionStore.save(phone, session);
+
+    if (queued) {
+      queue[phone] = { reason, text: lastMessage || null, queuedAt: now };
+      persistQueue();
+      console.log(`🌙 Handoff queued for ${phone} until the store opens (${reason})`);
+      return;
+    }
+
+    console.log(`🙋 Handoff started for ${phone} (${reason})`);
+    await notifyStaff({ type: "handoff_requested", phone, reason, text: lastMessage }, { sendWhatsApp });
+  }
+
+  // Record a customer message while staff are in control (kept quiet while queued)
+  async function recordCustomerMessage(phone, session, text) {
+    session.history.push({ role: "user", content: text });
+    session.history = session.history.slice(-12);
+    session.handoff.lastCustomerMessageAt = new Date().toISOString();
+    await sessionStore.save(phone, session);
+    if (session.handoff.status === "queued") {
+      if (queue[phone]) {
+        queue[phone].text = text;
+        persistQueue();
+      }
+      return;
+    }
+    await notifyStaff({ type: "customer_message", phone, text }, { sendWhatsApp });
+  }
+
+  // The store has opened: notify staff of every queued request, oldest first
+  async function releaseQueued() {
+    const entries = Object.entries(queue).sort(([, a], [, b]) => a.queuedAt.localeCompare(b.queuedAt));
+    for (const [phone, entry] of entries) {
+      const session = await sessionStore.get(phone);
+      if (session && isInHandoff(session) && session.handoff.status === "queued") {
+        session.handoff.status = "waiting";
+        await sessionStore.save(phone, session);
+      }
+      dequeue(phone);
+      console.log(`🙋 Queued handoff released for ${phone} (${entry.reason})`);
+      await notifyStaff({ type: "handoff_requested", phone, ...entry }, { sendWhatsApp });
+    }
+    return entries.length;
+  }
+
+  function listQueued() {
+    return Object.entries(queue).map(([phone, entry]) => ({ phone, ...entry }));
+  }
+
+  // Conversations currently handled by (or waiting for) staff, oldest first
+  async function list() {
+    const sessions = await sessionStore.list();
+    return sessions
+      .filter(({ session }) => isInHandoff(session))
+      .map(({ phone, session }) => ({
+        phone,
+        ...session.handoff,
+        recentMessages: session.history.slice(-6)
+      }))
+      .sort((a, b) => String(a.requestedAt).localeCompare(String(b.requestedAt)));
+  }
+
+  // Staff reply sent as the business
+  async function replyAsStaff(phone, text) {
+    const session = await loadSession(phone);
+    if (!isInHandoff(session)) {
+      await start(phone, session, HANDOFF_REASONS.STAFF_TAKEOVER);
+    }
+
+    await sendWhatsApp(phone, text);
+    dequeue(phone);
+    session.history.push({ role: "assistant", content: text });
+    session.history = session.history.slice(-12);
+    session.handoff.status = "active";
+    session.handoff.staffRepliedAt = new Date().toISOString();
+    await sessionStore.save(phone, session);
+    return session.handoff;
+  }
+
+  // Staff take control of a conversation without being asked
+  async function takeover(phone) {
+    const session = await loadSession(phone);
+    if (!isInHandoff(session)) {
+      session.mode = "human";
+      session.handoff = {
+        reason: HANDOFF_REASONS.STAFF_TAKEOVER,
+        status: "active",
+        requestedAt: new Date().toISOString(),
+        lastCustomerMessageAt: null,
+        staffRepliedAt: null
+      };
+      await sessionStore.save(phone, session);
+      console.log(`🙋 Staff took over conversation with ${phone}`);
+    } else if (session.handoff.status === "queued") {
+      session.handoff.status = "active";
+      await sessionStore.save(phone, session);
+    }
+    dequeue(phone);
+    return session.handoff;
+  }
+
+  // Hand the conversation back to the bot
+  async function resume(phone, { notifyCustomer = true } = {}) {
+    dequeue(phone);
+    const session = await sessionStore.get(phone);
+    if (!session || !isInHandoff(session)) return false;
+
+    session.mode = "bot";
+    delete session.handoff;
+    await sessionStore.save(phone, session);
+    console.log(`🤖 Bot resumed conversation with ${phone}`);
+
+    if (notifyCustomer) {
+      await sendWhatsApp(phone, t(session.language, "botResumed"));
+    }
+    return true;
+  }
+
+  return { start, recordCustomerMessage, releaseQueued, listQueued, list, replyAsStaff, takeover, resume, forget: dequeue };
+}
+
+module.exports = {
+  HANDOFF_REASONS,
+  FAILED_SEARCH_LIMIT,
+  detectEscalation,
+  isInHandoff,
+  notifyStaff,
+  createHandoffService
+};
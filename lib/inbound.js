@@ -0,0 +1,90 @@
+const { PRODUCT_ACTIONS } = require("./whatsapp");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📥 INBOUND MESSAGE PARSING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Structured intents we can act on without asking the model
+const INTENTS = {
+  SHOW_MORE: "show_more",
+  PRODUCT_DETAILS: "details",
+  MORE_LIKE_THIS: PRODUCT_ACTIONS.MORE_LIKE_THIS,
+  ENQUIRE: PRODUCT_ACTIONS.ENQUIRE,
+  TALK_TO_STAFF: "talk_to_staff",
+  SAVE_TO_WISHLIST: "wishlist"
+};
+
+const KNOWN_INTENTS = new Set(Object.values(INTENTS));
+
+// Media types customers can send us
+const MEDIA_TYPES = new Set(["image", "audio", "video", "document", "sticker"]);
+
+// Parse a reply id such as "details:RK1234" or "show_more" into an intent
+function parseReplyId(id) {
+  if (!id || typeof id !== "string") return null;
+  const sep = id.indexOf(":");
+  const type = sep === -1 ? id : id.slice(0, sep);
+  const jewelCode = sep === -1 ? null : id.slice(sep + 1).trim() || null;
+  if (!KNOWN_INTENTS.has(type)) return null;
+  return { type, jewelCode };
+}
+
+// Normalize a Cloud API message object into what the bot should do with it:
+//   { kind: "text", text }
+//   { kind: "intent", intent: { type, jewelCode }, title }
+//   { kind: "media", mediaType, mediaId, mimeType, caption }
+//   { kind: "location", latitude, longitude, name, address }
+//   { kind: "reaction" } | { kind: "unsupported", type }
+function parseInboundMessage(msg) {
+  if (!msg || !msg.type) return { kind: "unsupported", type: undefined };
+
+  switch (msg.type) {
+    case "text":
+      return { kind: "text", text: msg.text?.body?.trim() || "" };
+
+    case "interactive": {
+      const reply = msg.interactive?.button_reply || msg.interactive?.list_reply;
+      if (!reply) return { kind: "unsupported", type: `interactive:${msg.interactive?.type}` };
+      const intent = parseReplyId(reply.id);
+      // Unknown ids still carry a human-readable title we can treat as text
+      return intent
+        ? { kind: "intent", intent, title: reply.title }
+        : { kind: "text", text: (reply.title || "").trim() };
+    }
+
+    case "button": {
+      // Quick-reply buttons on template messages
+      const intent = parseReplyId(msg.button?.payload);
+      return intent
+        ? { kind: "intent", intent, title: msg.button?.text }
+        : { kind: "text", text: (msg.button?.text || "").trim() };
+    }
+
+    case "location":
+      return {
+        kind: "location",
+        latitude: msg.location?.latitude,
+        longitude: msg.location?.longitude,
+        name: msg.location?.name,
+        address: msg.location?.address
+      };
+
+    case "reaction":
+      return { kind: "reaction" };
+
+    default:
+      if (MEDIA_TYPES.has(msg.type)) {
+        const media = msg[msg.type] || {};
+        return {
+          kind: "media",
+          mediaType: msg.type,
+          mediaId: media.id,
+          mimeType: media.mime_type,
+          caption: media.caption?.trim() || ""
+        };
+      }
+      return { kind: "unsupported", type: msg.type };
+  }
+}
+
+module.exports = { INTENTS, parseInboundMessage, parseReplyId };
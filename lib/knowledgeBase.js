@@ -0,0 +1,124 @@
+const crypto = require("crypto");
+const { readJsonFile, writeJsonFile } = require("./fileUtils");
+const { tokenize } = require("./search");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📚 KNOWLEDGE BASE (policies, store hours, FAQs, pinned notes)
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Entry shape:
+//   { id, type, topic, title, content, tags: [], pinned, updatedAt }
+//   type   -> "policy" | "hours" | "faq" | "note"
+//   topic  -> short key the model asks for, e.g. "buyback", "exchange", "making-charges", "hallmarking"
+//   pinned -> included in every conversation as internal guidance
+
+const ENTRY_TYPES = ["policy", "hours", "faq", "note"];
+
+// Check an entry payload from the admin API; returns an error message or null
+function validateEntry(entry, { partial = false } = {}) {
+  if (!entry || typeof entry !== "object") return "Body must be a JSON object";
+  if (!partial || entry.type !== undefined) {
+    if (!ENTRY_TYPES.includes(entry.type)) return `type must be one of: ${ENTRY_TYPES.join(", ")}`;
+  }
+  for (const field of ["title", "content"]) {
+    if (!partial || entry[field] !== undefined) {
+      if (typeof entry[field] !== "string" || !entry[field].trim()) return `${field} must be a non-empty string`;
+    }
+  }
+  if (entry.tags !== undefined && !Array.isArray(entry.tags)) return "tags must be an array of strings";
+  return null;
+}
+
+function normalizeTopic(topic) {
+  return String(topic || "").trim().toLowerCase().replace(/[\s_]+/g, "-");
+}
+
+// Create a knowledge base persisted as one JSON file
+function createKnowledgeBase({ filePath }) {
+  let entries = readJsonFile(filePath, { entries: [] }).entries || [];
+  console.log(`📚 Loaded ${entries.length} knowledge base entries`);
+
+  function persist() {
+    writeJsonFile(filePath, { entries });
+  }
+
+  function pick(entry) {
+    return {
+      type: entry.type,
+      topic: entry.topic ? normalizeTopic(entry.topic) : null,
+      title: entry.title.trim(),
+      content: entry.content.trim(),
+      tags: (entry.tags || []).map(String),
+      pinned: !!entry.pinned
+    };
+  }
+
+  function list({ type } = {}) {
+    return type ? entries.filter(e => e.type === type) : [...entries];
+  }
+
+  function get(id) {
+    return entries.find(e => e.id === id) || null;
+  }
+
+  function create(entry) {
+    const created = { id: crypto.randomUUID(), ...pick(entry), updatedAt: new Date().toISOString() };
+    entries.push(created);
+    persist();
+    return created;
+  }
+
+  function update(id, patch) {
+    const index = entries.findIndex(e => e.id === id);
+    if (index === -1) return null;
+    entries[index] = { ...entries[index], ...pick({ ...entries[index], ...patch }), updatedAt: new Date().toISOString() };
+    persist();
+    return entries[index];
+  }
+
+  function remove(id) {
+    const before = entries.length;
+    entries = entries.filter(e => e.id !== id);
+    if (entries.length === before) return false;
+    persist();
+    return true;
+  }
+
+  // Rank entries by word overlap with the query (title and topic count double)
+  function search(query, { limit = 3, types } = {}) {
+    const queryTokens = new Set(tokenize(query));
+    if (queryTokens.size === 0) return [];
+
+    return entries
+      .filter(e => !types || types.includes(e.type))
+      .map(entry => {
+        const strong = new Set([...tokenize(entry.title), ...tokenize(entry.topic), ...entry.tags.flatMap(t => tokenize(t))]);
+        const body = new Set(tokenize(entry.content));
+        let score = 0;
+        for (const token of queryTokens) {
+          if (strong.has(token)) score += 2;
+          else if (body.has(token)) score += 1;
+        }
+        return { entry, score };
+      })
+      .filter(item => item.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(item => item.entry);
+  }
+
+  // Policy for a topic: exact topic match first, then the best text match
+  function getPolicy(topic) {
+    const key = normalizeTopic(topic);
+    const exact = entries.filter(e => e.type === "policy" && e.topic === key);
+    return exact.length ? exact : search(topic, { limit: 2, types: ["policy"] });
+  }
+
+  function pinnedNotes() {
+    return entries.filter(e => e.pinned);
+  }
+
+  return { list, get, create, update, remove, search, getPolicy, pinnedNotes };
+}
+
+module.exports = { ENTRY_TYPES, createKnowledgeBase, validateEntry };
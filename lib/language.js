@@ -0,0 +1,302 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🗣️ CUSTOMER LANGUAGE (English, Hindi, Hinglish)
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Detected per message and remembered in session.language, so a short "ok" or a
+// JewelCode does not switch the conversation back to English.
+
+const LANGUAGES = {
+  en: {
+    name: "English",
+    instruction: "Reply in English."
+  },
+  hi: {
+    name: "Hindi",
+    instruction: "The customer writes in Hindi. Reply in simple, warm Hindi using Devanagari script; keep JewelCodes, prices and product attribute values as they appear in the data."
+  },
+  hinglish: {
+    name: "Hinglish",
+    instruction: "The customer writes in Hinglish (Hindi in Latin script). Reply the same way, in casual Hinglish, e.g. \"Yeh rahe kuch sundar jhumke ✨\"; keep JewelCodes, prices and product attribute values as they appear in the data."
+  }
+};
+
+// Romanized Hindi words that rarely appear in English messages
+const HINGLISH_MARKERS = new Set([
+  "hai", "hain", "kya", "ki", "ka", "ke", "ko", "mujhe", "muje", "chahiye", "chaiye", "dikhao", "dikha",
+  "dikhaiye", "tak", "se", "aur", "nahi", "nahin", "haan", "kitna", "kitne", "kitni", "kaise", "kahan",
+  "kab", "wala", "wali", "wale", "accha", "acha", "achha", "theek", "thik", "bhai", "ji", "koi", "kuch",
+  "sone", "sona", "anguthi", "angoothi", "jhumka", "jhumki", "jhumke", "haar", "kangan", "hazaar",
+  "hazar", "hajar", "bhi", "mera", "meri", "mere", "aap", "aapka", "apna", "batao", "bataiye", "kam",
+  "zyada", "jyada", "sundar", "chahte", "chahti", "dijiye", "rupaye"
+]);
+
+const DEVANAGARI = /[\u0900-\u097F]/g;
+const LATIN = /[a-z]/gi;
+
+// Best guess of the message language, or null when the message is too short to tell
+function detectLanguage(text) {
+  const str = String(text || "");
+  const devanagari = (str.match(DEVANAGARI) || []).length;
+  const latin = (str.match(LATIN) || []).length;
+  if (devanagari > 0 && devanagari >= latin) return "hi";
+
+  const words = str.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+  const markers = words.filter(w => HINGLISH_MARKERS.has(w)).length;
+  if (markers >= 2 || (markers === 1 && words.length <= 5)) return "hinglish";
+  if (words.length >= 3) return "en";
+  return null;
+}
+
+// System message telling the model which language to answer in
+function languageInstruction(language) {
+  return LANGUAGES[language]?.instruction || LANGUAGES.en.instruction;
+}
+
+// Fixed replies the bot sends without the model
+const MESSAGES = {
+  found: {
+    en: "Here's what I found for you:",
+    hi: "आपके लिए ये डिज़ाइन मिले हैं:",
+    hinglish: "Aapke liye yeh designs mile hain:"
+  },
+  notFound: {
+    en: "🙏 Sorry, I couldn't find that. Please try describing it differently.",
+    hi: "🙏 माफ़ कीजिए, यह नहीं मिला। कृपया थोड़ा अलग तरीके से बताइए।",
+    hinglish: "🙏 Sorry, yeh nahi mila. Thoda alag tarike se bataiye?"
+  },
+  notUnderstood: {
+    en: "🙏 Sorry, I didn't understand that. Please ask about a product.",
+    hi: "🙏 माफ़ कीजिए, मैं समझ नहीं पाया। कृपया किसी प्रोडक्ट के बारे में पूछिए।",
+    hinglish: "🙏 Sorry, samajh nahi aaya. Kisi product ke baare mein puchiye."
+  },
+  moreAvailable: {
+    en: "I found {count} more items matching your search. Type \"show more\" to see more products.",
+    hi: "आपकी खोज से मिलते {count} और डिज़ाइन हैं। देखने के लिए \"और दिखाओ\" लिखिए।",
+    hinglish: "Aapki search se milte {count} aur designs hain. Dekhne ke liye \"aur dikhao\" likhiye."
+  },
+  searchFirst: {
+    en: "Please search for products first before asking to see more.",
+    hi: "पहले कोई प्रोडक्ट खोजिए, फिर और डिज़ाइन दिखाऊँगा।",
+    hinglish: "Pehle koi product search kijiye, phir aur designs dikhaunga."
+  },
+  moreHere: {
+    en: "Here are more products!",
+    hi: "ये रहे और डिज़ाइन!",
+    hinglish: "Yeh rahe aur designs!"
+  },
+  moreRemaining: {
+    en: "There are {count} more items available. Type \"show more\" to see more products.",
+    hi: "अभी {count} और डिज़ाइन हैं। देखने के लिए \"और दिखाओ\" लिखिए।",
+    hinglish: "Abhi {count} aur designs hain. Dekhne ke liye \"aur dikhao\" likhiye."
+  },
+  allShown: {
+    en: "That's all the products we have!",
+    hi: "बस इतने ही डिज़ाइन हैं!",
+    hinglish: "Bas itne hi designs hain!"
+  },
+  nothingLeft: {
+    en: "I've shown you all the available products. Would you like to search for something else?",
+    hi: "सारे उपलब्ध डिज़ाइन दिखा दिए हैं। क्या कुछ और देखना चाहेंगे?",
+    hinglish: "Saare available designs dikha diye hain. Kuch aur dekhna chahenge?"
+  },
+  error: {
+    en: "🙏 Sorry, I encountered an error processing your message. Please try again.",
+    hi: "🙏 माफ़ कीजिए, आपका मैसेज प्रोसेस करने में दिक्कत आई। कृपया दोबारा कोशिश कीजिए।",
+    hinglish: "🙏 Sorry, aapka message process karne mein dikkat aayi. Please dobara try kijiye."
+  },
+  optedOut: {
+    en: "✋ You've been unsubscribed and won't receive any more messages from {brand}. Reply START any time to hear from us again.",
+    hi: "✋ आपको अनसब्सक्राइब कर दिया गया है, {brand} से अब कोई मैसेज नहीं आएगा। दोबारा जुड़ने के लिए कभी भी START लिखिए।",
+    hinglish: "✋ Aapko unsubscribe kar diya gaya hai, {brand} se ab koi message nahi aayega. Dobara judne ke liye kabhi bhi START likhiye."
+  },
+  optedIn: {
+    en: "🙏 Welcome back! You'll hear from {brand} again. Tell me what you're looking for, or reply STOP to unsubscribe.",
+    hi: "🙏 आपका फिर से स्वागत है! बताइए आप क्या ढूँढ रहे हैं, या अनसब्सक्राइब करने के लिए STOP लिखिए।",
+    hinglish: "🙏 Welcome back! Bataiye aap kya dhoondh rahe hain, ya unsubscribe karne ke liye STOP likhiye."
+  },
+  slowDown: {
+    en: "🙏 You're sending messages faster than I can keep up! Please give me a couple of minutes, then send your question again.",
+    hi: "🙏 आप बहुत जल्दी-जल्दी मैसेज भेज रहे हैं! कृपया कुछ मिनट रुकिए, फिर अपना सवाल दोबारा भेजिए।",
+    hinglish: "🙏 Aap bahut jaldi-jaldi messages bhej rahe hain! Please kuch minute rukiye, phir apna sawaal dobara bhejiye."
+  },
+  tokenBudget: {
+    en: "🙏 We've chatted a lot today! I'll be able to search the collection for you again tomorrow. Meanwhile you can type \"show more\", tap a product's buttons, or ask to talk to our team at {brand}.",
+    hi: "🙏 आज हमने बहुत बातें कर लीं! कल मैं फिर से आपके लिए कलेक्शन खोज सकूँगा। तब तक आप \"और दिखाओ\" लिख सकते हैं या {brand} की टीम से बात करने के लिए कह सकते हैं।",
+    hinglish: "🙏 Aaj humne bahut baatein kar li! Kal main phir se aapke liye collection search kar paunga. Tab tak aap \"aur dikhao\" likh sakte hain ya {brand} ki team se baat karne ke liye keh sakte hain."
+  },
+  afterHoursHandoff: {
+    en: "🌙 {brand} is closed right now. I've passed your request to our team, and a staff member will get back to you after we open ({opens}).",
+    hi: "🌙 {brand} अभी बंद है। आपकी रिक्वेस्ट हमारी टीम तक पहुँचा दी गई है, स्टोर खुलने पर ({opens}) हमारे स्टाफ़ आपसे संपर्क करेंगे।",
+    hinglish: "🌙 {brand} abhi band hai. Aapki request humari team tak pahuncha di hai, store khulne par ({opens}) humare staff aapse contact karenge."
+  },
+  closedHandoff: {
+    en: "🌙 {brand} is closed right now. I've passed your request to our team, and a staff member will get back to you as soon as we reopen.",
+    hi: "🌙 {brand} अभी बंद है। आपकी रिक्वेस्ट हमारी टीम तक पहुँचा दी गई है, स्टोर दोबारा खुलते ही हमारे स्टाफ़ आपसे संपर्क करेंगे।",
+    hinglish: "🌙 {brand} abhi band hai. Aapki request humari team tak pahuncha di hai, store dobara khulte hi humare staff aapse contact karenge."
+  },
+  staffConnecting: {
+    en: "🙏 I'm connecting you with our team at {brand}. A staff member will reply here shortly.",
+    hi: "🙏 मैं आपको {brand} की टीम से जोड़ रहा हूँ। हमारे स्टाफ़ जल्द ही यहीं जवाब देंगे।",
+    hinglish: "🙏 Main aapko {brand} ki team se connect kar raha hoon. Humare staff jaldi hi yahin reply karenge."
+  },
+  staffPending: {
+    en: "🙏 Our team has your request and will reply here shortly.",
+    hi: "🙏 आपकी रिक्वेस्ट हमारी टीम के पास है, वे जल्द ही यहीं जवाब देंगे।",
+    hinglish: "🙏 Aapki request humari team ke paas hai, woh jaldi hi yahin reply karenge."
+  },
+  productMissing: {
+    en: "Sorry, I couldn't find a product with code {code}. It may no longer be available.",
+    hi: "माफ़ कीजिए, {code} कोड वाला प्रोडक्ट नहीं मिला। शायद यह अब उपलब्ध नहीं है।",
+    hinglish: "Sorry, {code} code wala product nahi mila. Shayad yeh ab available nahi hai."
+  },
+  noSimilar: {
+    en: "I couldn't find other pieces similar to {code} right now. Would you like to search for something else?",
+    hi: "अभी {code} जैसे और डिज़ाइन नहीं मिले। क्या कुछ और देखना चाहेंगे?",
+    hinglish: "Abhi {code} jaise aur designs nahi mile. Kuch aur dekhna chahenge?"
+  },
+  similarHere: {
+    en: "Here are pieces similar to {code}!",
+    hi: "ये रहे {code} जैसे डिज़ाइन!",
+    hinglish: "Yeh rahe {code} jaise designs!"
+  },
+  enquire: {
+    en: "Thank you for your interest in {product} {code}! 💎\n\nReply with any question about it (size, weight, customisation, availability), or tap below to speak with our team.",
+    hi: "{product} {code} में रुचि के लिए धन्यवाद! 💎\n\nइसके बारे में कुछ भी पूछिए (साइज़, वज़न, कस्टमाइज़ेशन, उपलब्धता), या हमारी टीम से बात करने के लिए नीचे टैप कीजिए।",
+    hinglish: "{product} {code} mein interest ke liye thank you! 💎\n\nIske baare mein kuch bhi puchiye (size, weight, customisation, availability), ya humari team se baat karne ke liye neeche tap kijiye."
+  },
+  thisPiece: {
+    en: "this piece",
+    hi: "इस डिज़ाइन",
+    hinglish: "is design"
+  },
+  detailsButton: {
+    en: "Full details",
+    hi: "पूरी जानकारी",
+    hinglish: "Poori details"
+  },
+  wishlistButton: {
+    en: "Save to wishlist",
+    hi: "विशलिस्ट में रखें",
+    hinglish: "Wishlist mein save"
+  },
+  staffButton: {
+    en: "Talk to staff",
+    hi: "स्टाफ़ से बात",
+    hinglish: "Staff se baat"
+  },
+  wishlistSaved: {
+    en: "❤️ Saved {code} to your wishlist. Ask \"show my wishlist\" any time, or book a store visit to see it in person.",
+    hi: "❤️ {code} आपकी विशलिस्ट में सेव हो गया। कभी भी \"मेरी विशलिस्ट दिखाओ\" लिखिए, या इसे देखने के लिए स्टोर विज़िट बुक कीजिए।",
+    hinglish: "❤️ {code} aapki wishlist mein save ho gaya. Kabhi bhi \"meri wishlist dikhao\" likhiye, ya ise dekhne ke liye store visit book kijiye."
+  },
+  wishlistFull: {
+    en: "Your wishlist is full. Remove a piece you no longer want and try again.",
+    hi: "आपकी विशलिस्ट भर गई है। कोई डिज़ाइन हटाइए और फिर कोशिश कीजिए।",
+    hinglish: "Aapki wishlist full hai. Koi design hataiye aur phir try kijiye."
+  },
+  wishlistHas: {
+    en: "{code} is already in your wishlist.",
+    hi: "{code} पहले से आपकी विशलिस्ट में है।",
+    hinglish: "{code} pehle se aapki wishlist mein hai."
+  },
+  voiceUnsupported: {
+    en: "🎙️ Thanks for the voice note! I can't listen to audio yet, so please type what you're looking for and I'll help right away.",
+    hi: "🎙️ वॉइस नोट के लिए धन्यवाद! मैं अभी ऑडियो नहीं सुन सकता, कृपया लिखकर बताइए आप क्या ढूँढ रहे हैं।",
+    hinglish: "🎙️ Voice note ke liye thank you! Main abhi audio nahi sun sakta, please likh kar bataiye aap kya dhoondh rahe hain."
+  },
+  photoUnsupported: {
+    en: "📸 Thanks for the photo, it looks lovely! I can't match pictures yet, but if you describe the design (e.g. \"floral gold earrings under 50000\") I'll find the closest pieces from our collection.",
+    hi: "📸 फ़ोटो के लिए धन्यवाद, बहुत सुंदर है! मैं अभी तस्वीरों से मिलान नहीं कर सकता, पर डिज़ाइन बताइए (जैसे \"50000 तक के फ्लोरल गोल्ड झुमके\") तो मैं कलेक्शन से मिलते-जुलते डिज़ाइन ढूँढ दूँगा।",
+    hinglish: "📸 Photo ke liye thank you, bahut sundar hai! Main abhi photos match nahi kar sakta, par design bataiye (jaise \"50000 tak ke floral gold jhumke\") toh main collection se milte-julte designs dhoondh dunga."
+  },
+  voiceUnclear: {
+    en: "🎙️ Sorry, I couldn't make out that voice note. Could you say it again, or type what you're looking for?",
+    hi: "🎙️ माफ़ कीजिए, वॉइस नोट समझ नहीं आया। क्या आप दोबारा बोल सकते हैं, या लिखकर बता सकते हैं?",
+    hinglish: "🎙️ Sorry, voice note samajh nahi aaya. Dobara bol sakte hain, ya likh kar bata sakte hain?"
+  },
+  photoUnmatched: {
+    en: "📸 Thanks for the photo! I couldn't match it to our collection, so please describe the design (e.g. \"floral gold earrings under 50000\") and I'll find the closest pieces.",
+    hi: "📸 फ़ोटो के लिए धन्यवाद! यह हमारे कलेक्शन से मेल नहीं खाई, कृपया डिज़ाइन बताइए (जैसे \"50000 तक के फ्लोरल गोल्ड झुमके\") तो मैं मिलते-जुलते डिज़ाइन ढूँढ दूँगा।",
+    hinglish: "📸 Photo ke liye thank you! Yeh humare collection se match nahi hui, please design bataiye (jaise \"50000 tak ke floral gold jhumke\") toh main milte-julte designs dhoondh dunga."
+  },
+  botResumed: {
+    en: "🤖 Thanks for chatting with our team! I'm back to help you browse our collection. Just ask for any design.",
+    hi: "🤖 हमारी टीम से बात करने के लिए धन्यवाद! मैं फिर से कलेक्शन दिखाने के लिए हाज़िर हूँ। कोई भी डिज़ाइन पूछिए।",
+    hinglish: "🤖 Humari team se baat karne ke liye thank you! Main phir se collection dikhane ke liye haazir hoon. Koi bhi design puchiye."
+  },
+  locationShared: {
+    en: "📍 Thanks for sharing your location! You can visit {brand}{where}. Let me know what you'd like to see and I'll share some designs.",
+    hi: "📍 लोकेशन भेजने के लिए धन्यवाद! आप {brand}{where} आ सकते हैं। बताइए क्या देखना चाहेंगे, मैं कुछ डिज़ाइन भेजता हूँ।",
+    hinglish: "📍 Location bhejne ke liye thank you! Aap {brand}{where} aa sakte hain. Bataiye kya dekhna chahenge, main kuch designs bhejta hoon."
+  },
+  locationIn: {
+    en: " in {location}",
+    hi: " ({location})",
+    hinglish: " ({location})"
+  },
+  textOnly: {
+    en: "I can only process text messages at the moment. Please send me a text message about jewelry products.",
+    hi: "मैं अभी सिर्फ़ टेक्स्ट मैसेज समझ सकता हूँ। कृपया ज्वेलरी के बारे में लिखकर भेजिए।",
+    hinglish: "Main abhi sirf text messages samajh sakta hoon. Please jewellery ke baare mein likh kar bhejiye."
+  },
+  technicalError: {
+    en: "🙏 Sorry, I'm experiencing technical difficulties. Please try again in a moment.",
+    hi: "🙏 माफ़ कीजिए, अभी तकनीकी दिक्कत आ रही है। कृपया थोड़ी देर में दोबारा कोशिश कीजिए।",
+    hinglish: "🙏 Sorry, abhi technical dikkat aa rahi hai. Please thodi der mein dobara try kijiye."
+  },
+  moreLikeButton: {
+    en: "More like this",
+    hi: "ऐसे और दिखाएँ",
+    hinglish: "Aise aur dikhao"
+  },
+  enquireButton: {
+    en: "Enquire",
+    hi: "पूछताछ",
+    hinglish: "Enquiry"
+  },
+  jewelry: {
+    en: "Jewelry",
+    hi: "ज्वेलरी",
+    hinglish: "Jewellery"
+  },
+  noPrice: {
+    en: "Price not available",
+    hi: "कीमत उपलब्ध नहीं",
+    hinglish: "Price available nahi"
+  },
+  codeLabel: { en: "Code", hi: "कोड", hinglish: "Code" },
+  styleLabel: { en: "Style", hi: "स्टाइल", hinglish: "Style" },
+  goldLabel: { en: "Gold", hi: "सोना", hinglish: "Sona" },
+  genderLabel: { en: "Gender", hi: "किसके लिए", hinglish: "Kiske liye" },
+  collectionLabel: { en: "Collection", hi: "कलेक्शन", hinglish: "Collection" },
+  weightLabel: { en: "Weight", hi: "वज़न", hinglish: "Wazan" },
+  netWeightLabel: { en: "Net Weight", hi: "नेट वज़न", hinglish: "Net wazan" },
+  diamondWeightLabel: { en: "Diamond Weight", hi: "डायमंड वज़न", hinglish: "Diamond wazan" },
+  diamondQualityLabel: { en: "Diamond Quality", hi: "डायमंड क्वालिटी", hinglish: "Diamond quality" },
+  stoneWeightLabel: { en: "Colour Stone Weight", hi: "रंगीन स्टोन वज़न", hinglish: "Colour stone wazan" },
+  inStock: { en: "In stock", hi: "स्टॉक में है", hinglish: "Stock mein hai" },
+  outOfStock: { en: "Currently out of stock", hi: "अभी स्टॉक में नहीं है", hinglish: "Abhi stock mein nahi hai" }
+};
+
+// Localized fixed reply, e.g. t("hinglish", "moreRemaining", { count: 4 })
+function t(language, key, vars = {}) {
+  const entry = MESSAGES[key];
+  const text = entry[language] || entry.en;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? vars[name] : match));
+}
+
+// "show more" in English, Hinglish and Hindi, as the whole message: "why is this one more
+// expensive?" or "tell me more about RNG001" are questions for the model, not pagination
+const SHOW_MORE_PHRASES = [
+  "(?:show|see|send|load)\\s+(?:me\\s+)?(?:some\\s+)?more(?:\\s+(?:options|designs|products|items|pieces))?",
+  "more(?:\\s+(?:options|designs|products|items|pieces))?",
+  "next(?:\\s+page)?",
+  "continue",
+  "aur(?:\\s+bhi)?(?:\\s+dikha\\S*)?",
+  "aage\\s+dikha\\S*",
+  "और(?:\\s+भी)?(?:\\s+दिखा\\S*)?",
+  "आगे\\s+दिखा\\S*"
+];
+const SHOW_MORE_PATTERN = new RegExp(`^\\s*(?:(?:please|pls|ok|okay)\\s+)?(?:${SHOW_MORE_PHRASES.join("|")})(?:\\s+(?:please|pls|plz))?[\\s.!?]*$`, "i");
+
+module.exports = { LANGUAGES, SHOW_MORE_PATTERN, detectLanguage, languageInstruction, t };
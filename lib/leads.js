@@ -0,0 +1,319 @@
+const crypto = require("crypto");
+const { readJsonFile, writeJsonFile } = require("./fileUtils");
+const { STORE_TIMEZONE, DAY_MS, localParts } = require("./time");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📝 LEADS (wishlists, callbacks, store visits, holds)
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Lead shape:
+//   { id, type, phone, tenantId, jewelCodes: [], slot, preferredTime, note, status, createdAt, updatedAt, expiresAt }
+//   type      -> "callback" | "appointment" | "hold"
+//   tenantId  -> the store (WhatsApp number) the customer was talking to
+//   slot      -> "YYYY-MM-DD HH:MM" in the store's time zone (appointments)
+//   expiresAt -> when a hold lapses if staff have not acted on it
+// Wishlists are kept separately per store and phone: { tenantId: { phone: [{ jewelCode, addedAt }] } }
+// (older files keyed them by phone alone; assignLegacyLeads moves those to the default store)
+// Slot rules, appointment capacity and holds are per store: the slot functions take
+// { tenantId, timeZone } (the store's businessHours.timeZone); slots set for one store
+// override the shared defaults in state.slots.
+
+const LEAD_TYPES = ["callback", "appointment", "hold"];
+const LEAD_STATUSES = ["open", "contacted", "completed", "cancelled"];
+const ACTIVE_STATUSES = new Set(["open", "contacted"]);
+
+const HOLD_HOURS = Number(process.env.HOLD_HOURS) || 48;
+const MAX_WISHLIST_ITEMS = 50;
+
+// Store visits: Monday to Saturday, four slots a day, one customer per slot
+const DEFAULT_SLOT_CONFIG = {
+  weekdays: [1, 2, 3, 4, 5, 6], // 0 = Sunday
+  times: ["11:00", "13:00", "15:00", "17:00"],
+  capacity: 1,
+  daysAhead: 14
+};
+
+// Check a slot config payload; returns an error message or null
+function validateSlotConfig(config) {
+  if (!config || typeof config !== "object") return "Body must be a JSON object";
+  if (config.weekdays !== undefined) {
+    if (!Array.isArray(config.weekdays) || !config.weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      return "weekdays must be an array of day numbers 0 (Sunday) to 6 (Saturday)";
+    }
+  }
+  if (config.times !== undefined) {
+    if (!Array.isArray(config.times) || !config.times.every(t => /^([01]\d|2[0-3]):[0-5]\d$/.test(t))) {
+      return "times must be an array of \"HH:MM\" strings";
+    }
+  }
+  for (const field of ["capacity", "daysAhead"]) {
+    if (config[field] !== undefined && (!Number.isInteger(config[field]) || config[field] < 1)) {
+      return `${field} must be a positive whole number`;
+    }
+  }
+  return null;
+}
+
+// "2025-03-14 15:00", "2025-03-14T15:00" or "2025-03-14, 15:00" -> "2025-03-14 15:00"
+function normalizeSlot(slot) {
+  const match = String(slot || "").match(/(\d{4}-\d{2}-\d{2})\D+(\d{1,2}):(\d{2})/);
+  return match ? `${match[1]} ${match[2].padStart(2, "0")}:${match[3]}` : null;
+}
+
+const normalizeCode = (code) => String(code || "").trim().toLowerCase();
+
+// Create the lead store, persisted as one JSON file
+function createLeadStore({ filePath }) {
+  const saved = readJsonFile(filePath, {});
+  const state = {
+    wishlists: saved.wishlists || {},
+    leads: saved.leads || [],
+    slots: { ...DEFAULT_SLOT_CONFIG, ...(saved.slots || {}) },
+    tenantSlots: saved.tenantSlots || {}
+  };
+  const listeners = [];
+  console.log(`📝 Loaded ${state.leads.length} leads and ${listWishlists().length} wishlists`);
+
+  function persist() {
+    writeJsonFile(filePath, state);
+  }
+
+  // Called with every new lead, e.g. to notify staff
+  function onLead(listener) {
+    listeners.push(listener);
+  }
+
+  // ─── Wishlists ───
+
+  // One store's wishlists by phone (legacy phone-keyed entries are arrays, not stores)
+  function storeWishlists(tenantId) {
+    const wishlists = state.wishlists[tenantId];
+    return wishlists && !Array.isArray(wishlists) ? wishlists : null;
+  }
+
+  function getWishlist(phone, { tenantId = null } = {}) {
+    return [...(storeWishlists(tenantId)?.[phone] || [])];
+  }
+
+  function addToWishlist(phone, jewelCode, { tenantId = null } = {}) {
+    const wishlists = storeWishlists(tenantId) || (state.wishlists[tenantId] = {});
+    const items = wishlists[phone] || [];
+    if (items.some(i => normalizeCode(i.jewelCode) === normalizeCode(jewelCode))) {
+      return { added: false, items: [...items] };
+    }
+    if (items.length >= MAX_WISHLIST_ITEMS) {
+      return { added: false, full: true, items: [...items] };
+    }
+    items.push({ jewelCode, addedAt: new Date().toISOString() });
+    wishlists[phone] = items;
+    persist();
+    return { added: true, items: [...items] };
+  }
+
+  function removeFromWishlist(phone, jewelCode, { tenantId = null } = {}) {
+    const wishlists = storeWishlists(tenantId);
+    const items = wishlists?.[phone] || [];
+    const remaining = items.filter(i => normalizeCode(i.jewelCode) !== normalizeCode(jewelCode));
+    if (remaining.length === items.length) return false;
+    if (remaining.length) wishlists[phone] = remaining;
+    else delete wishlists[phone];
+    persist();
+    return true;
+  }
+
+  // Every store's wishlists, optionally for one store and/or one phone
+  function listWishlists({ tenantId, phone } = {}) {
+    return Object.keys(state.wishlists)
+      .filter(id => storeWishlists(id) && (!tenantId || id === tenantId))
+      .flatMap(id => Object.entries(state.wishlists[id])
+        .filter(([p]) => !phone || p === phone)
+        .map(([p, items]) => ({ tenantId: id, phone: p, items: [...items] })));
+  }
+
+  // ─── Leads ───
+
+  function expireHolds() {
+    const now = Date.now();
+    let changed = false;
+    for (const lead of state.leads) {
+      if (lead.type === "hold" && lead.status === "open" && lead.expiresAt && new Date(lead.expiresAt).getTime() < now) {
+        lead.status = "cancelled";
+        lead.note = [lead.note, "Hold expired"].filter(Boolean).join(" | ");
+        lead.updatedAt = new Date().toISOString();
+        changed = true;
+      }
+    }
+    if (changed) persist();
+  }
+
+  function createLead(type, phone, fields = {}) {
+    const now = new Date();
+    const lead = {
+      id: crypto.randomUUID(),
+      type,
+      phone,
+      tenantId: fields.tenantId || null,
+      jewelCodes: fields.jewelCodes || [],
+      slot: fields.slot || null,
+      preferredTime: fields.preferredTime || null,
+      note: fields.note || null,
+      status: "open",
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      expiresAt: type === "hold" ? new Date(now.getTime() + HOLD_HOURS * 60 * 60 * 1000).toISOString() : null
+    };
+    state.leads.push(lead);
+    persist();
+    console.log(`📝 New ${type} lead from ${phone}${lead.slot ? ` for ${lead.slot}` : ""}${lead.jewelCodes.length ? ` (${lead.jewelCodes.join(", ")})` : ""}`);
+
+    for (const listener of listeners) {
+      Promise.resolve()
+        .then(() => listener(lead))
+        .catch(err => console.error("❌ Lead listener failed:", err.message));
+    }
+    return lead;
+  }
+
+  function listLeads({ type, status, phone, tenantId } = {}) {
+    expireHolds();
+    return state.leads
+      .filter(l => (!type || l.type === type) && (!status || l.status === status) && (!phone || l.phone === phone))
+      .filter(l => !tenantId || l.tenantId === tenantId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Staff follow-up: status and note only
+  function updateLead(id, { status, note }) {
+    const lead = state.leads.find(l => l.id === id);
+    if (!lead) return null;
+    if (status !== undefined) lead.status = status;
+    if (note !== undefined) lead.note = note;
+    lead.updatedAt = new Date().toISOString();
+    persist();
+    return lead;
+  }
+
+  // Leads and wishlists recorded before stores were tracked belong to the default store
+  function assignLegacyLeads(tenantId) {
+    const legacy = state.leads.filter(l => !l.tenantId);
+    const legacyWishlists = Object.entries(state.wishlists).filter(([, items]) => Array.isArray(items));
+    if (legacy.length === 0 && legacyWishlists.length === 0) return;
+    legacy.forEach(l => { l.tenantId = tenantId; });
+    const wishlists = storeWishlists(tenantId) || (state.wishlists[tenantId] = {});
+    for (const [phone, items] of legacyWishlists) {
+      delete state.wishlists[phone];
+      wishlists[phone] = wishlists[phone] || items;
+    }
+    console.log(`📝 Assigned ${legacy.length} leads and ${legacyWishlists.length} wishlists recorded before multi-store support to ${tenantId}`);
+    persist();
+  }
+
+  // Open holds on a product at one store
+  function activeHolds(jewelCode, { tenantId = null } = {}) {
+    expireHolds();
+    return state.leads.filter(l => l.type === "hold" && ACTIVE_STATUSES.has(l.status) && l.tenantId === tenantId && l.jewelCodes.some(c => normalizeCode(c) === normalizeCode(jewelCode)));
+  }
+
+  // ─── Privacy ───
+
+  // Delete a customer's leads and wishlists at every store; returns what was removed
+  function deleteByPhone(phone) {
+    const before = state.leads.length;
+    state.leads = state.leads.filter(l => l.phone !== phone);
+    let wishlist = Array.isArray(state.wishlists[phone]);
+    if (wishlist) delete state.wishlists[phone];
+    for (const wishlists of Object.values(state.wishlists)) {
+      if (Array.isArray(wishlists) || !wishlists[phone]) continue;
+      delete wishlists[phone];
+      wishlist = true;
+    }
+    const removed = { leads: before - state.leads.length, wishlist };
+    if (removed.leads || wishlist) persist();
+    return removed;
+  }
+
+  // Drop completed and cancelled leads untouched for longer than the retention window
+  function purgeClosed(retentionDays) {
+    expireHolds();
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    const before = state.leads.length;
+    state.leads = state.leads.filter(l => ACTIVE_STATUSES.has(l.status) || new Date(l.updatedAt).getTime() >= cutoff);
+    const removed = before - state.leads.length;
+    if (removed) persist();
+    return removed;
+  }
+
+  // ─── Appointment slots ───
+
+  function getSlotConfig({ tenantId = null, timeZone = STORE_TIMEZONE } = {}) {
+    return { ...state.slots, ...(state.tenantSlots[tenantId] || {}), timeZone };
+  }
+
+  function setSlotConfig(config, { tenantId = null, timeZone } = {}) {
+    const target = tenantId ? (state.tenantSlots[tenantId] = state.tenantSlots[tenantId] || {}) : state.slots;
+    for (const field of Object.keys(DEFAULT_SLOT_CONFIG)) {
+      if (config[field] !== undefined) target[field] = config[field];
+    }
+    if (target.times) target.times = [...target.times].sort();
+    persist();
+    return getSlotConfig({ tenantId, timeZone });
+  }
+
+  function bookedCount(slot, tenantId) {
+    return state.leads.filter(l => l.type === "appointment" && l.slot === slot && l.tenantId === tenantId && ACTIVE_STATUSES.has(l.status)).length;
+  }
+
+  // Upcoming open slots at one store, optionally for one date ("YYYY-MM-DD"); isClosed(date) skips holidays
+  function availableSlots({ date, limit = 10, isClosed = () => false, tenantId = null, timeZone = STORE_TIMEZONE } = {}) {
+    const { weekdays, times, capacity, daysAhead } = getSlotConfig({ tenantId, timeZone });
+    const now = localParts(new Date(), timeZone);
+    const slots = [];
+
+    for (let day = 0; day <= daysAhead && slots.length < limit; day++) {
+      const local = localParts(new Date(Date.now() + day * DAY_MS), timeZone);
+      if (!weekdays.includes(local.weekday)) continue;
+      if (date && local.date !== date) continue;
+      if (isClosed(local.date)) continue;
+      for (const time of times) {
+        if (local.date === now.date && time <= now.time) continue;
+        const slot = `${local.date} ${time}`;
+        if (bookedCount(slot, tenantId) < capacity) slots.push(slot);
+        if (slots.length >= limit) break;
+      }
+    }
+    return slots;
+  }
+
+  function isSlotAvailable(slot, options = {}) {
+    const [date] = slot.split(" ");
+    return availableSlots({ ...options, date, limit: Infinity }).includes(slot);
+  }
+
+  return {
+    onLead,
+    getWishlist,
+    addToWishlist,
+    removeFromWishlist,
+    listWishlists,
+    createLead,
+    listLeads,
+    updateLead,
+    activeHolds,
+    assignLegacyLeads,
+    deleteByPhone,
+    purgeClosed,
+    getSlotConfig,
+    setSlotConfig,
+    availableSlots,
+    isSlotAvailable
+  };
+}
+
+module.exports = {
+  LEAD_TYPES,
+  LEAD_STATUSES,
+  HOLD_HOURS,
+  createLeadStore,
+  validateSlotConfig,
+  normalizeSlot
+};
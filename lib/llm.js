@@ -0,0 +1,186 @@
+const fs = require("fs");
+const { OpenAI } = require("openai");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🤖 LLM PROVIDERS
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Every provider exposes:
+//   name, model
+//   complete({ messages, tools, toolChoice }) -> { message: { role, content, tool_calls }, usage }
+//
+// "openai" talks to api.openai.com or any OpenAI-compatible server (LLM_BASE_URL),
+// "mock" replays a deterministic script so the tool pipeline runs offline.
+
+const DEFAULT_MODEL = "gpt-4o";
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 2;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rate limits, server errors, timeouts and dropped connections are worth retrying
+function isRetryable(err) {
+  const status = err?.status;
+  if (status === 408 || status === 409 || status === 429) return true;
+  if (status >= 500) return true;
+  const name = err?.constructor?.name || err?.name || "";
+  return /APIConnectionError|APIConnectionTimeoutError|AbortError|TimeoutError/.test(name);
+}
+
+// Call fn, retrying with exponential backoff and jitter
+async function withRetries(fn, { maxRetries, baseDelayMs = 500, label = "LLM request" }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= maxRetries || !isRetryable(err)) throw err;
+      const delay = baseDelayMs * 2 ** attempt + Math.floor(Math.random() * baseDelayMs);
+      console.log(`⚠️ ${label} failed (${err.status || err.message}), retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+// OpenAI or any OpenAI-compatible chat completions endpoint
+function createOpenAIProvider({ apiKey, baseURL, model = DEFAULT_MODEL, timeoutMs = DEFAULT_TIMEOUT_MS, maxRetries = DEFAULT_MAX_RETRIES }) {
+  const client = new OpenAI({
+    // Local servers usually ignore the key, but the SDK requires one
+    apiKey: apiKey || (baseURL ? "not-needed" : undefined),
+    baseURL: baseURL || undefined,
+    timeout: timeoutMs,
+    maxRetries: 0 // retries are handled below so they are logged and bounded in one place
+  });
+
+  return {
+    name: "openai",
+    model,
+    async complete({ messages, tools, toolChoice }) {
+      const request = { model, messages };
+      if (tools && tools.length) {
+        request.tools = tools;
+        request.tool_choice = toolChoice || "auto";
+      }
+
+      const response = await withRetries(
+        () => client.chat.completions.create(request),
+        { maxRetries, label: `${model} completion` }
+      );
+      return { message: response.choices[0].message, usage: response.usage || null };
+    }
+  };
+}
+
+// Default mock script: search for whatever the customer typed, then summarize
+const DEFAULT_MOCK_SCRIPT = {
+  rules: [
+    { match: "^(hi|hello|hey|namaste)\\b", reply: "Hello! 👋 Welcome to RK Jewellers. What can I help you find today?" },
+    { match: "suggest|recommend|popular|best ?seller", toolCalls: [{ name: "suggestFallback", arguments: { query: "$text" } }] },
+    { match: ".", toolCalls: [{ name: "getProducts", arguments: { query: "$text" } }] }
+  ],
+  afterTool: {
+    found: "Here are some pieces from our collection you might like! ✨",
+    empty: "Sorry, I couldn't find anything matching that. Would you like to see some of our popular designs?"
+  }
+};
+
+// Deterministic scripted provider for offline testing
+//   rules:    [{ match: regex string, reply?: string, toolCalls?: [{ name, arguments }], error?: string }]
+//             (error makes the completion fail, to exercise the error path)
+//   afterTool: { found, empty, onEmpty?: [{ name, arguments }] }
+//             (onEmpty is called once per turn when a tool comes back empty, e.g. suggestFallback)
+//   "$text" inside tool arguments is replaced with the customer's message
+function createMockProvider({ script = DEFAULT_MOCK_SCRIPT, model = "mock" } = {}) {
+  const rules = (script.rules || []).map(rule => ({ ...rule, pattern: new RegExp(rule.match, "i") }));
+  const afterTool = { ...DEFAULT_MOCK_SCRIPT.afterTool, ...(script.afterTool || {}) };
+  const calls = [];
+  let callCounter = 0;
+
+  function fillArguments(args, text) {
+    return JSON.parse(JSON.stringify(args || {}), (key, value) => (value === "$text" ? text : value));
+  }
+
+  function toToolCalls(requested, text, availableTools) {
+    return requested
+      .filter(call => availableTools.has(call.name))
+      .map(call => ({
+        id: `call_mock_${++callCounter}`,
+        type: "function",
+        function: { name: call.name, arguments: JSON.stringify(fillArguments(call.arguments, text)) }
+      }));
+  }
+
+  return {
+    name: "mock",
+    model,
+    calls, // every request received, for test assertions
+    async complete({ messages, tools }) {
+      calls.push({ messages, tools });
+      const last = messages[messages.length - 1];
+      const availableTools = new Set((tools || []).map(t => t.function.name));
+
+      // Answer tool results with a canned summary
+      if (last.role === "tool") {
+        let empty = false;
+        try {
+          const parsed = JSON.parse(last.content);
+          const hasProducts = (parsed.products && parsed.products.length > 0) || !!parsed.product;
+          empty = !hasProducts && !!(parsed.message || parsed.error);
+        } catch (err) {
+          empty = true;
+        }
+
+        // Nothing found: follow up once with the onEmpty tools, as the system prompt asks
+        const turnStart = messages.map(m => m.role).lastIndexOf("user");
+        const calledThisTurn = new Set(messages.slice(turnStart).flatMap(m => (m.tool_calls || []).map(c => c.function.name)));
+        if (empty && afterTool.onEmpty && !afterTool.onEmpty.some(call => calledThisTurn.has(call.name))) {
+          const toolCalls = toToolCalls(afterTool.onEmpty, messages[turnStart]?.content || "", availableTools);
+          if (toolCalls.length) {
+            return { message: { role: "assistant", content: null, tool_calls: toolCalls }, usage: null };
+          }
+        }
+        return { message: { role: "assistant", content: empty ? afterTool.empty : afterTool.found }, usage: null };
+      }
+
+      const text = typeof last.content === "string" ? last.content : "";
+      const rule = rules.find(r => r.pattern.test(text));
+
+      if (rule?.error) {
+        throw new Error(rule.error);
+      }
+
+      if (rule?.toolCalls && availableTools.size) {
+        const toolCalls = toToolCalls(rule.toolCalls, text, availableTools);
+        if (toolCalls.length) {
+          return { message: { role: "assistant", content: null, tool_calls: toolCalls }, usage: null };
+        }
+      }
+
+      return { message: { role: "assistant", content: rule?.reply || "I'm here to help with our jewellery collection." }, usage: null };
+    }
+  };
+}
+
+// Build the provider selected by LLM_PROVIDER ("openai" by default, or "mock")
+function createLLMProvider(env = process.env) {
+  if ((env.LLM_PROVIDER || "openai").toLowerCase() === "mock") {
+    const script = env.LLM_MOCK_SCRIPT ? JSON.parse(fs.readFileSync(env.LLM_MOCK_SCRIPT, "utf8")) : DEFAULT_MOCK_SCRIPT;
+    console.log("🧪 Using mock LLM provider");
+    return createMockProvider({ script });
+  }
+
+  return createOpenAIProvider({
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+    baseURL: env.LLM_BASE_URL,
+    model: env.LLM_MODEL || DEFAULT_MODEL,
+    timeoutMs: Number(env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    maxRetries: env.LLM_MAX_RETRIES !== undefined ? Number(env.LLM_MAX_RETRIES) : DEFAULT_MAX_RETRIES
+  });
+}
+
+module.exports = {
+  DEFAULT_MOCK_SCRIPT,
+  createLLMProvider,
+  createOpenAIProvider,
+  createMockProvider,
+  withRetries
+};
@@ -0,0 +1,207 @@
+const { OpenAI, toFile } = require("openai");
+const { withRetries } = require("./llm");
+const { tokenize } = require("./search");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🎙️ VOICE NOTE & PHOTO UNDERSTANDING
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Speech-to-text providers expose:
+//   name, model
+//   transcribe({ buffer, mimeType }) -> text
+// Vision providers expose:
+//   name, model
+//   describe({ buffer, mimeType, vocabulary }) -> text (one line about the jewellery, "" if there is none)
+//
+// "openai" uses the transcription and image-input chat endpoints of api.openai.com or
+// any compatible server, "mock" reads the file itself as UTF-8 text (so tests can serve
+// the transcript or description as the media), and "none" turns the feature off.
+
+const DEFAULT_TRANSCRIPTION_MODEL = "whisper-1";
+const DEFAULT_VISION_MODEL = "gpt-4o";
+const VOCABULARY_LIMIT = 40; // values per field listed in the vision prompt (matching uses them all)
+
+// Catalog fields a photo is matched against, most specific first
+const MATCH_FIELDS = ["Style", "Sub Category", "Product Category", "Collection"];
+
+const VISION_PROMPT = "You help a jewellery store find pieces like the one in a customer's photo. " +
+  "Describe the jewellery in the photo in one short line: the type of piece, its style or motif, metal colour and stones. " +
+  "Use the store's catalog terms below where they fit. If there is no jewellery in the photo, reply with NONE.";
+
+// File name with an extension the transcription endpoint recognises ("audio/ogg; codecs=opus" -> voice.ogg)
+function audioFileName(mimeType) {
+  const subtype = String(mimeType || "audio/ogg").split(";")[0].split("/")[1] || "ogg";
+  return `voice.${subtype === "mpeg" ? "mp3" : subtype}`;
+}
+
+function createOpenAIClient({ apiKey, baseURL, timeoutMs }) {
+  return new OpenAI({
+    apiKey: apiKey || (baseURL ? "not-needed" : undefined),
+    baseURL: baseURL || undefined,
+    timeout: timeoutMs,
+    maxRetries: 0
+  });
+}
+
+// OpenAI (or compatible) audio transcriptions endpoint
+function createOpenAITranscriber({ apiKey, baseURL, model = DEFAULT_TRANSCRIPTION_MODEL, timeoutMs = 60000, maxRetries = 2 }) {
+  const client = createOpenAIClient({ apiKey, baseURL, timeoutMs });
+
+  return {
+    name: "openai",
+    model,
+    async transcribe({ buffer, mimeType }) {
+      const file = await toFile(buffer, audioFileName(mimeType), { type: mimeType || "audio/ogg" });
+      const response = await withRetries(
+        () => client.audio.transcriptions.create({ model, file }),
+        { maxRetries, label: `${model} transcription` }
+      );
+      return (response.text || "").trim();
+    }
+  };
+}
+
+// OpenAI (or compatible) chat model that accepts images
+function createOpenAIVisionProvider({ apiKey, baseURL, model = DEFAULT_VISION_MODEL, timeoutMs = 30000, maxRetries = 2 }) {
+  const client = createOpenAIClient({ apiKey, baseURL, timeoutMs });
+
+  return {
+    name: "openai",
+    model,
+    async describe({ buffer, mimeType, vocabulary = {} }) {
+      const terms = Object.entries(vocabulary)
+        .filter(([, values]) => values.length > 0)
+        .map(([field, values]) => `${field}: ${values.slice(0, VOCABULARY_LIMIT).join(", ")}`)
+        .join("\n");
+      const response = await withRetries(
+        () => client.chat.completions.create({
+          model,
+          max_tokens: 100,
+          messages: [
+            { role: "system", content: terms ? `${VISION_PROMPT}\n\nCatalog terms:\n${terms}` : VISION_PROMPT },
+            { role: "user", content: [{ type: "image_url", image_url: { url: `data:${mimeType || "image/jpeg"};base64,${buffer.toString("base64")}` } }] }
+          ]
+        }),
+        { maxRetries, label: `${model} image description` }
+      );
+      const text = (response.choices[0].message.content || "").trim();
+      return /^none\.?$/i.test(text) ? "" : text;
+    }
+  };
+}
+
+// Offline providers: the file's bytes are the transcript / description
+function createMockTranscriber() {
+  return {
+    name: "mock",
+    model: "mock",
+    async transcribe({ buffer }) {
+      return buffer.toString("utf8").trim();
+    }
+  };
+}
+
+function createMockVisionProvider() {
+  return {
+    name: "mock",
+    model: "mock",
+    async describe({ buffer }) {
+      return buffer.toString("utf8").trim();
+    }
+  };
+}
+
+// "openai" normally, "mock" alongside the mock LLM; "none" -> null
+function providerType(env, name) {
+  const defaultProvider = (env.LLM_PROVIDER || "openai").toLowerCase() === "mock" ? "mock" : "openai";
+  return (env[name] || defaultProvider).toLowerCase();
+}
+
+// Build the provider selected by SPEECH_TO_TEXT_PROVIDER ("openai", "mock" or "none")
+function createSpeechToTextProvider(env = process.env) {
+  const type = providerType(env, "SPEECH_TO_TEXT_PROVIDER");
+  if (type === "none") return null;
+  if (type === "mock") return createMockTranscriber();
+
+  return createOpenAITranscriber({
+    apiKey: env.SPEECH_TO_TEXT_API_KEY || env.LLM_API_KEY || env.OPENAI_API_KEY,
+    baseURL: env.SPEECH_TO_TEXT_BASE_URL || env.LLM_BASE_URL,
+    model: env.SPEECH_TO_TEXT_MODEL || DEFAULT_TRANSCRIPTION_MODEL
+  });
+}
+
+// Build the provider selected by VISION_PROVIDER ("openai", "mock" or "none")
+function createVisionProvider(env = process.env) {
+  const type = providerType(env, "VISION_PROVIDER");
+  if (type === "none") return null;
+  if (type === "mock") return createMockVisionProvider();
+
+  return createOpenAIVisionProvider({
+    apiKey: env.VISION_API_KEY || env.LLM_API_KEY || env.OPENAI_API_KEY,
+    baseURL: env.VISION_BASE_URL || env.LLM_BASE_URL,
+    model: env.VISION_MODEL || env.LLM_MODEL || DEFAULT_VISION_MODEL
+  });
+}
+
+// Distinct catalog values per matched field (the vision prompt lists the first VOCABULARY_LIMIT)
+function catalogVocabulary(products) {
+  const vocabulary = {};
+  for (const field of MATCH_FIELDS) {
+    const values = new Set();
+    for (const product of products) {
+      const value = String(product[field] ?? "").trim();
+      if (value) values.add(value);
+    }
+    vocabulary[field] = [...values];
+  }
+  return vocabulary;
+}
+
+// Catalog Style / Sub Category / Category / Collection values named in a photo description,
+// and the search a customer would have typed for them ("Floral Cocktail Ring")
+function matchCatalogTerms(description, products) {
+  const described = new Set(tokenize(description));
+  const vocabulary = catalogVocabulary(products);
+  const terms = [];
+
+  for (const field of MATCH_FIELDS) {
+    // The value with the most words all present in the description
+    let best = null;
+    let bestSize = 0;
+    for (const value of vocabulary[field]) {
+      const tokens = tokenize(value);
+      if (tokens.length > bestSize && tokens.every(token => described.has(token))) {
+        best = value;
+        bestSize = tokens.length;
+      }
+    }
+    if (best) terms.push({ field, value: best });
+  }
+
+  // One query, each word once ("Floral Cocktail Ring" + "Ring" -> "Floral Cocktail Ring")
+  const seen = new Set();
+  const words = [];
+  for (const { value } of terms) {
+    for (const word of value.split(/\s+/)) {
+      const key = tokenize(word).join(" ") || word.toLowerCase();
+      if (!seen.has(key)) {
+        seen.add(key);
+        words.push(word);
+      }
+    }
+  }
+
+  return { terms, query: words.join(" ") };
+}
+
+module.exports = {
+  MATCH_FIELDS,
+  createSpeechToTextProvider,
+  createVisionProvider,
+  createOpenAITranscriber,
+  createOpenAIVisionProvider,
+  createMockTranscriber,
+  createMockVisionProvider,
+  catalogVocabulary,
+  matchCatalogTerms
+};
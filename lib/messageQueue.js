@@ -0,0 +1,33 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📬 PER-SENDER MESSAGE QUEUE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Run tasks one at a time per key (e.g. per sender), in arrival order
+function createKeyedQueue() {
+  const tails = new Map(); // key -> promise of the last queued task
+
+  return {
+    enqueue(key, task) {
+      const previous = tails.get(key) || Promise.resolve();
+      const run = previous.then(task).catch(err => {
+        console.error(`❌ Queued task failed for ${key}:`, err);
+      });
+      tails.set(key, run);
+      run.then(() => {
+        if (tails.get(key) === run) tails.delete(key);
+      });
+      return run;
+    },
+    get pending() {
+      return tails.size;
+    },
+    // Resolves once every task queued so far (and any they queued) has finished
+    async idle() {
+      while (tails.size > 0) {
+        await Promise.all([...tails.values()]);
+      }
+    }
+  };
+}
+
+module.exports = { createKeyedQueue };
@@ -0,0 +1,152 @@
+const { readJsonFile, writeJsonFile } = require("./fileUtils");
+const { normalizePurity, parsePrice } = require("./search");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 💰 LIVE GOLD-RATE PRICING
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// price = metal value (Net Wt × today's rate for the purity)
+//       + making charge (percent of metal value, or per gram)
+//       + diamond amount (Dia Amt) + colour stone amount (CS Amt)
+//       + GST on the subtotal
+// Products without a posted rate for their purity, or without a net weight,
+// keep the static "Sale Price" from the catalog export.
+
+const MAKING_CHARGE_TYPES = ["percent", "perGram"];
+const STALE_AFTER_MS = 36 * 60 * 60 * 1000; // rates are posted daily
+
+// "18KT", "18 k", "18kt yellow" -> "18KT"
+function purityKey(value) {
+  const match = normalizePurity(String(value || "").toLowerCase()).match(/(\d{1,2})kt/);
+  return match ? `${match[1]}KT` : null;
+}
+
+function defaultConfig() {
+  return {
+    makingCharge: {
+      type: process.env.MAKING_CHARGE_TYPE || "percent",
+      value: Number(process.env.MAKING_CHARGE_VALUE) || 0
+    },
+    gstPercent: process.env.GST_PERCENT !== undefined ? Number(process.env.GST_PERCENT) : 3
+  };
+}
+
+// Check a rates payload ({ "22K": 6800, "18KT": 5600 }); returns an error message or null
+function validateRates(rates) {
+  if (!rates || typeof rates !== "object" || Array.isArray(rates)) return "rates must be an object of purity -> rate per gram";
+  const entries = Object.entries(rates);
+  if (entries.length === 0) return "rates must include at least one purity";
+  for (const [purity, rate] of entries) {
+    if (!purityKey(purity)) return `Unrecognised purity "${purity}" (use e.g. 22K, 18KT, 14 kt)`;
+    if (typeof rate !== "number" || !(rate > 0)) return `Rate for ${purity} must be a positive number`;
+  }
+  return null;
+}
+
+// Check a config payload; returns an error message or null
+function validateConfig(config) {
+  if (!config || typeof config !== "object") return "Body must be a JSON object";
+  if (config.makingCharge !== undefined) {
+    const { type, value } = config.makingCharge || {};
+    if (!MAKING_CHARGE_TYPES.includes(type)) return `makingCharge.type must be one of: ${MAKING_CHARGE_TYPES.join(", ")}`;
+    if (typeof value !== "number" || value < 0) return "makingCharge.value must be a non-negative number";
+  }
+  if (config.gstPercent !== undefined && (typeof config.gstPercent !== "number" || config.gstPercent < 0)) {
+    return "gstPercent must be a non-negative number";
+  }
+  return null;
+}
+
+const round = (n) => Math.round(n);
+
+// Create the pricing service, persisted as one JSON file
+function createPricingService({ filePath }) {
+  const saved = readJsonFile(filePath, {});
+  const state = {
+    rates: saved.rates || {},                       // { "22KT": { perGram, updatedAt } }
+    config: { ...defaultConfig(), ...(saved.config || {}) }
+  };
+
+  function persist() {
+    writeJsonFile(filePath, state);
+  }
+
+  // Post today's per-gram rates
+  function setRates(rates) {
+    const updatedAt = new Date().toISOString();
+    for (const [purity, perGram] of Object.entries(rates)) {
+      state.rates[purityKey(purity)] = { perGram, updatedAt };
+    }
+    persist();
+    console.log(`💰 Gold rates updated: ${Object.entries(state.rates).map(([k, r]) => `${k}=₹${r.perGram}/g`).join(", ")}`);
+    return getState();
+  }
+
+  function setConfig(config) {
+    if (config.makingCharge) state.config.makingCharge = { type: config.makingCharge.type, value: config.makingCharge.value };
+    if (config.gstPercent !== undefined) state.config.gstPercent = config.gstPercent;
+    persist();
+    return getState();
+  }
+
+  function getState() {
+    return JSON.parse(JSON.stringify(state));
+  }
+
+  // Itemised live price, or null when the product cannot be priced from today's rate
+  function breakdown(product) {
+    const purity = purityKey(product["Gold Purity"]);
+    const rate = purity && state.rates[purity];
+    const netWt = parsePrice(product["Net Wt"]);
+    if (!rate || !(netWt > 0)) return null;
+
+    const metalValue = netWt * rate.perGram;
+    const { type, value } = state.config.makingCharge;
+    const makingCharge = type === "perGram" ? netWt * value : metalValue * (value / 100);
+    const diamondValue = parsePrice(product["Dia Amt"]);
+    const stoneValue = parsePrice(product["CS Amt"]);
+    const subtotal = metalValue + makingCharge + diamondValue + stoneValue;
+    const gst = subtotal * (state.config.gstPercent / 100);
+
+    return {
+      jewelCode: product["JewelCode"],
+      purity,
+      ratePerGram: rate.perGram,
+      rateDate: rate.updatedAt,
+      stale: Date.now() - new Date(rate.updatedAt).getTime() > STALE_AFTER_MS,
+      netWt,
+      metalValue: round(metalValue),
+      makingCharge: round(makingCharge),
+      makingChargeRule: type === "perGram" ? `₹${value} per gram` : `${value}% of metal value`,
+      diamondValue: round(diamondValue),
+      stoneValue: round(stoneValue),
+      subtotal: round(subtotal),
+      gstPercent: state.config.gstPercent,
+      gst: round(gst),
+      total: round(subtotal + gst),
+      catalogPrice: parsePrice(product["Sale Price"]) || null
+    };
+  }
+
+  // Current price of a product (live when possible, catalog otherwise)
+  function priceOf(product) {
+    const live = breakdown(product);
+    return live ? live.total : parsePrice(product["Sale Price"]);
+  }
+
+  // Copy of the product row with "Sale Price" replaced by the live price
+  function withLivePrice(product) {
+    const live = breakdown(product);
+    return live ? { ...product, "Sale Price": live.total } : product;
+  }
+
+  return { setRates, setConfig, getState, breakdown, priceOf, withLivePrice };
+}
+
+module.exports = {
+  MAKING_CHARGE_TYPES,
+  createPricingService,
+  purityKey,
+  validateRates,
+  validateConfig
+};
@@ -0,0 +1,34 @@
+const util = require("util");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🙈 LOG REDACTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// 10 to 15 digits (optionally +), not inside a longer run of digits
+const PHONE_PATTERN = /(?<!\d)\+?\d{10,15}(?!\d)/g;
+
+// "919876543210" -> "91******3210"
+function maskPhone(phone) {
+  const str = String(phone || "");
+  if (str.length < 8) return str;
+  return str.slice(0, 2) + "*".repeat(str.length - 6) + str.slice(-4);
+}
+
+function redactPhones(text) {
+  return String(text).replace(PHONE_PATTERN, maskPhone);
+}
+
+let installed = false;
+
+// Mask phone numbers in everything written through console.*
+// (log lines, error dumps and the DEBUG webhook payload); LOG_PHONE_NUMBERS=true turns it off
+function installConsoleRedaction() {
+  if (installed || process.env.LOG_PHONE_NUMBERS === "true") return;
+  installed = true;
+  for (const method of ["log", "info", "warn", "error", "debug"]) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(redactPhones(util.format(...args)));
+  }
+}
+
+module.exports = { installConsoleRedaction, maskPhone, redactPhones };
@@ -0,0 +1,363 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🔍 PRODUCT SEARCH ENGINE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Searchable catalog columns and how much a match in each one counts
+const FIELD_WEIGHTS = {
+  "JewelCode": 6,
+  "Product Category": 5,
+  "Sub Category": 4,
+  "Collection": 3,
+  "Style": 3,
+  "Gold Purity": 2,
+  "Gender Name": 2,
+  "Diamond Clarity": 1,
+  "Diamond Colour": 1
+};
+
+// Structured filter name -> catalog column
+const FILTER_FIELDS = {
+  category: ["Product Category", "Sub Category"],
+  purity: ["Gold Purity"],
+  gender: ["Gender Name"],
+  collection: ["Collection"],
+  style: ["Style"],
+  diamondClarity: ["Diamond Clarity"],
+  diamondColour: ["Diamond Colour"]
+};
+
+// Words that carry no product meaning on their own
+const STOPWORDS = new Set([
+  "a", "an", "the", "and", "or", "for", "with", "in", "of", "to", "me", "my", "i",
+  "show", "want", "need", "looking", "some", "any", "please", "pls", "item", "items",
+  "product", "products", "design", "designs", "jewellery", "jewelry", "gold", "piece",
+  "under", "below", "over", "above", "between", "less", "more", "than", "upto", "up",
+  "within", "max", "min", "from", "rs", "inr", "price", "budget", "around",
+  // Hinglish and Hindi fillers ("mujhe sone ki anguthi chahiye")
+  "ki", "ka", "ke", "ko", "se", "tak", "kam", "zyada", "jyada", "upar", "andar", "beech", "bich",
+  "wala", "wali", "wale", "dikhao", "dikha", "dikhaiye", "chahiye", "chaiye", "mujhe", "muje", "koi",
+  "kuch", "hai", "hain", "ek", "aur", "bhi", "sona", "sone", "rupaye", "rupees", "rupee",
+  "की", "का", "के", "को", "से", "तक", "कम", "वाला", "वाली", "दिखाओ", "दिखाइए", "चाहिए", "मुझे",
+  "कोई", "कुछ", "है", "हैं", "एक", "और", "भी", "सोना", "सोने", "रुपये", "रुपए"
+]);
+
+// Every word on the left is searched as the canonical term on the right
+const SYNONYMS = {
+  female: ["ladies", "lady", "women", "woman", "womens", "girl", "her", "she", "mahila", "ladki", "aurat", "महिला", "लडकी"],
+  male: ["men", "man", "mens", "gents", "gent", "boy", "him", "he", "ladka", "ladke", "aadmi", "पुरुष", "लडका"],
+  kids: ["kid", "child", "children", "baby", "bachche", "bacche", "baccha", "बच्चे", "बच्चों"],
+  unisex: ["couple", "both"],
+  earring: ["ear", "earing", "jhumka", "jhumki", "jhumke", "bali", "baali", "baliyan", "tops", "झुमका", "झुमकी", "झुमके", "बाली", "बालियां"],
+  pendant: ["locket", "लॉकेट"],
+  bracelet: ["wristlet"],
+  necklace: ["neckpiece", "haar", "mala", "हार", "माला"],
+  nosepin: ["nose", "nath", "nathni", "laung", "नथ", "नथनी", "लौंग"],
+  // Hindi and Hinglish product names (Devanagari written without nukta, see normalizeScript)
+  ring: ["anguthi", "angoothi", "anguthee", "angothi", "mundri", "अंगूठी", "अँगूठी"],
+  bangle: ["kangan", "kada", "kadaa", "churi", "chudi", "chudiyan", "कंगन", "कडा", "चूडी", "चूडियां"],
+  mangalsutra: ["mangalsootra", "मंगलसूत्र"],
+  chain: ["चेन"],
+  anklet: ["payal", "pajeb", "पायल"],
+  diamond: ["heera", "hira", "heere", "हीरा", "हीरे"]
+};
+
+// Kinds of jewellery (canonical terms): asking for one the catalog doesn't carry finds nothing
+const PRODUCT_TYPES = new Set([
+  "ring", "earring", "pendant", "bracelet", "necklace", "nosepin", "bangle", "mangalsutra", "chain",
+  "anklet", "brooch", "choker", "stud", "hoop", "cufflink", "tikka", "armlet", "coin"
+]);
+
+const SYNONYM_LOOKUP = Object.entries(SYNONYMS).reduce((acc, [canonical, words]) => {
+  acc[canonical] = canonical;
+  words.forEach(word => { acc[word] = canonical; });
+  return acc;
+}, {});
+
+// Devanagari digits to ASCII and nukta dropped, so "५० हज़ार" reads as "50 हजार"
+function normalizeScript(text) {
+  return String(text)
+    .normalize("NFC")
+    .replace(/[\u0966-\u096F]/g, d => String(d.charCodeAt(0) - 0x0966))
+    .replace(/\u093C/g, "")
+    .normalize("NFC");
+}
+
+// Normalize "18 kt", "18K", "18 karat" to "18kt"
+function normalizePurity(text) {
+  return String(text).replace(/\b(\d{1,2})\s*(?:kt|k|karat|carat)\b/gi, "$1kt");
+}
+
+// Reduce plural forms to their singular
+function singularize(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith("ies")) return word.slice(0, -3) + "y";
+  if (/(ches|shes|xes|sses)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+}
+
+// Map a word to its canonical search term
+function canonicalize(word) {
+  const singular = singularize(word);
+  return SYNONYM_LOOKUP[word] || SYNONYM_LOOKUP[singular] || singular;
+}
+
+// Split text into canonical search tokens
+function tokenize(text, { keepStopwords = false } = {}) {
+  if (text === undefined || text === null) return [];
+  return normalizePurity(normalizeScript(text).toLowerCase())
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(Boolean)
+    .filter(word => keepStopwords || !STOPWORDS.has(word))
+    .map(canonicalize);
+}
+
+// Levenshtein distance, bailing out once it exceeds maxDistance
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// How well a query token matches a product token (0 = no match)
+function tokenMatchQuality(queryToken, productToken) {
+  if (queryToken === productToken) return 1;
+  if (/\d/.test(queryToken) || /\d/.test(productToken)) return 0;
+  if (queryToken.length >= 3 && productToken.startsWith(queryToken)) return 0.8;
+  if (queryToken.length < 3) return 0;
+  const allowed = queryToken.length >= 7 ? 2 : 1;
+  return editDistance(queryToken, productToken, allowed) <= allowed ? 0.6 : 0;
+}
+
+// Best match quality of a token against a set of product tokens
+function bestQuality(queryToken, productTokens) {
+  let best = 0;
+  for (const productToken of productTokens) {
+    best = Math.max(best, tokenMatchQuality(queryToken, productToken));
+    if (best === 1) break;
+  }
+  return best;
+}
+
+// Amount units: thousand, lakh and crore in English, Hinglish and Hindi
+const UNIT = "k|thousand|hazaar|hazar|hajaar|hajar|हजार|lakhs?|lac|l|लाख|crores?|cr|karod|करोड";
+const UNIT_VALUES = [
+  [/^(k|thousand|hazaar|hazar|hajaar|hajar|हजार)$/, 1000],
+  [/^(lakhs?|lac|l|लाख)$/, 100000],
+  [/^(crores?|cr|karod|करोड)$/, 10000000]
+];
+
+// Parse "50000", "50,000", "50k", "1.5 lakh", "50 hazaar" into a number of rupees
+function parseAmount(text) {
+  const match = normalizeScript(text).toLowerCase().replace(/,/g, "").match(new RegExp(`(\\d+(?:\\.\\d+)?)\\s*(${UNIT})?(?![a-z\\u0900-\\u097F])`));
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  const unit = match[2] || "";
+  const multiplier = UNIT_VALUES.find(([pattern]) => pattern.test(unit))?.[1] || 1;
+  return Math.round(value * multiplier);
+}
+
+const AMOUNT = `₹?\\s*(\\d[\\d,]*(?:\\.\\d+)?\\s*(?:${UNIT})?)`;
+const CURRENCY = "(?:\\s*(?:rs\\.?|rupees?|rupaye|रुपये|रुपए))?";
+
+// Hinglish/Hindi bounds come after the amount: "50 hazaar tak", "1 lakh se upar"
+const UPPER_SUFFIX = "(?:tak|se kam|ke andar|ke niche|ke neeche|se niche|se neeche|तक|से कम|के अंदर|के नीचे)";
+const LOWER_SUFFIX = "(?:se upar|se ooper|se zyada|se jyada|se adhik|से ऊपर|से ज्यादा|से अधिक)";
+
+// "20 se 50 hazaar": a bare first amount takes the unit of the second
+function parseRange(low, high) {
+  const max = parseAmount(high);
+  let min = parseAmount(low);
+  if (/^[\d.,\s₹]+$/.test(low.trim()) && max !== null && min !== null) {
+    const unitValue = max / parseFloat(normalizeScript(high).replace(/[^\d.]/g, ""));
+    if (unitValue > 1 && min * unitValue <= max) min = Math.round(min * unitValue);
+  }
+  return { min, max };
+}
+
+// Pull price bounds out of free text and return the text without them
+function extractPriceRange(text) {
+  let rest = normalizeScript(text || "");
+  let minPrice = null;
+  let maxPrice = null;
+
+  const between = rest.match(new RegExp(`between\\s+${AMOUNT}\\s+(?:and|to|-)\\s+${AMOUNT}`, "i"))
+    || rest.match(new RegExp(`${AMOUNT}\\s*(?:se|-|to|से)\\s*${AMOUNT}${CURRENCY}\\s*(?:tak|ke beech|ke bich|ke darmiyan|तक|के बीच)`, "i"));
+  if (between) {
+    ({ min: minPrice, max: maxPrice } = parseRange(between[1], between[2]));
+    rest = rest.replace(between[0], " ");
+  }
+
+  const upper = rest.match(new RegExp(`(?:under|below|less than|upto|up to|within|max|maximum|budget)\\s+${AMOUNT}`, "i"))
+    || rest.match(new RegExp(`${AMOUNT}${CURRENCY}\\s*${UPPER_SUFFIX}`, "i"));
+  if (upper) {
+    maxPrice = parseAmount(upper[1]);
+    rest = rest.replace(upper[0], " ");
+  }
+
+  const lower = rest.match(new RegExp(`(?:over|above|more than|min|minimum|starting)\\s+${AMOUNT}`, "i"))
+    || rest.match(new RegExp(`${AMOUNT}${CURRENCY}\\s*${LOWER_SUFFIX}`, "i"));
+  if (lower) {
+    minPrice = parseAmount(lower[1]);
+    rest = rest.replace(lower[0], " ");
+  }
+
+  return { minPrice, maxPrice, rest };
+}
+
+// Parse a catalog price cell ("45,000", "₹45000", 45000) into a number
+function parsePrice(value) {
+  if (typeof value === "number") return value;
+  const num = parseFloat(String(value || "").replace(/[^\d.]/g, ""));
+  return Number.isFinite(num) ? num : 0;
+}
+
+// Token index per catalog snapshot; a new upload gets a new array and a fresh index
+const indexCache = new WeakMap();
+
+function getIndex(products) {
+  let index = indexCache.get(products);
+  if (!index) {
+    const vocabulary = new Set();
+    const entries = products.map(product => {
+      const fields = {};
+      for (const field of Object.keys(FIELD_WEIGHTS)) {
+        fields[field] = tokenize(product[field], { keepStopwords: true });
+        fields[field].forEach(token => vocabulary.add(token));
+      }
+      return { product, fields, price: parsePrice(product["Sale Price"]) };
+    });
+    index = { entries, vocabulary: [...vocabulary] };
+    indexCache.set(products, index);
+  }
+  return index;
+}
+
+// Drop query tokens that match nothing anywhere in the catalog ("elegant", "nice")
+function knownTokens(tokens, vocabulary) {
+  return tokens.filter(token => vocabulary.some(word => tokenMatchQuality(token, word) > 0));
+}
+
+// Kinds of jewellery named in a query that no product matches ("anklets" in a catalog of rings)
+function missingProductTypes(products, query) {
+  if (!products || products.length === 0) return [];
+  const { vocabulary } = getIndex(products);
+  return tokenize(extractPriceRange(query).rest)
+    .filter(token => PRODUCT_TYPES.has(token) && knownTokens([token], vocabulary).length === 0);
+}
+
+// Score one indexed product against the query tokens (null = not a match)
+function scoreEntry(entry, tokens) {
+  let score = 0;
+  for (const token of tokens) {
+    let tokenScore = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      tokenScore = Math.max(tokenScore, weight * bestQuality(token, entry.fields[field]));
+    }
+    if (tokenScore === 0) return null;
+    score += tokenScore;
+  }
+  return score;
+}
+
+// Check a structured filter value against the product's columns
+function matchesFilter(entry, filterName, value) {
+  const tokens = tokenize(value, { keepStopwords: true });
+  if (!tokens.length) return true;
+  const fieldTokens = FILTER_FIELDS[filterName].flatMap(field => entry.fields[field]);
+  return tokens.every(token => bestQuality(token, fieldTokens) > 0);
+}
+
+// Search the catalog with a free-text query and/or structured filters, best match first
+// (priceOf overrides the catalog "Sale Price" for price filters, e.g. live gold-rate pricing)
+function searchProducts(products, criteria = {}, { priceOf } = {}) {
+  if (!products || products.length === 0) return [];
+
+  const index = getIndex(products);
+  const { minPrice: textMin, maxPrice: textMax, rest } = extractPriceRange(criteria.query);
+  const minPrice = criteria.minPrice ?? textMin;
+  const maxPrice = criteria.maxPrice ?? textMax;
+  const queryTokens = tokenize(rest);
+  const tokens = knownTokens(queryTokens, index.vocabulary);
+
+  const activeFilters = Object.keys(FILTER_FIELDS).filter(name => criteria[name]);
+
+  // Asking for a kind of jewellery the catalog doesn't carry finds nothing, whatever the price
+  if (queryTokens.some(token => PRODUCT_TYPES.has(token) && !tokens.includes(token))) {
+    return [];
+  }
+
+  // A query made only of unknown words should not return the whole catalog (or every piece in a price range)
+  if (queryTokens.length && !tokens.length && !activeFilters.length) {
+    return [];
+  }
+
+  const scored = [];
+  index.entries.forEach((entry, position) => {
+    const price = priceOf ? priceOf(entry.product) : entry.price;
+    // Unpriced pieces can't be said to fall inside a price range
+    if ((minPrice != null || maxPrice != null) && !(price > 0)) return;
+    if (minPrice != null && price < minPrice) return;
+    if (maxPrice != null && price > maxPrice) return;
+    if (!activeFilters.every(name => matchesFilter(entry, name, criteria[name]))) return;
+
+    const score = tokens.length ? scoreEntry(entry, tokens) : 0;
+    if (score === null) return;
+    scored.push({ product: entry.product, score, position });
+  });
+
+  scored.sort((a, b) => b.score - a.score || a.position - b.position);
+  return scored.map(item => item.product);
+}
+
+// Products sharing the category of a given product, closest in price first
+function findSimilarProducts(products, product, { priceTolerance = 0.3, priceOf } = {}) {
+  if (!products || !product) return [];
+  const code = product["JewelCode"];
+  const category = tokenize(product["Product Category"], { keepStopwords: true }).join(" ");
+  const subCategory = tokenize(product["Sub Category"], { keepStopwords: true }).join(" ");
+  const priceFor = (p, indexed) => (priceOf ? priceOf(p) : indexed);
+  const price = priceFor(product, parsePrice(product["Sale Price"]));
+
+  return getIndex(products).entries
+    .map(entry => ({ ...entry, price: priceFor(entry.product, entry.price) }))
+    .filter(entry => entry.product["JewelCode"] !== code)
+    .filter(entry => entry.fields["Product Category"].join(" ") === category)
+    .filter(entry => !price || Math.abs(entry.price - price) <= price * priceTolerance)
+    .map(entry => {
+      let score = 0;
+      if (entry.fields["Sub Category"].join(" ") === subCategory) score += 3;
+      if (entry.product["Collection"] && entry.product["Collection"] === product["Collection"]) score += 2;
+      if (entry.product["Style"] && entry.product["Style"] === product["Style"]) score += 2;
+      if (entry.product["Gold Purity"] === product["Gold Purity"]) score += 1;
+      return { product: entry.product, score, distance: Math.abs(entry.price - price) };
+    })
+    .sort((a, b) => b.score - a.score || a.distance - b.distance)
+    .map(item => item.product);
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  FILTER_FIELDS,
+  searchProducts,
+  findSimilarProducts,
+  missingProductTypes,
+  tokenize,
+  extractPriceRange,
+  parseAmount,
+  parsePrice,
+  normalizePurity,
+  normalizeScript,
+  editDistance
+};
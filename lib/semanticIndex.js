@@ -0,0 +1,149 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomic } = require("./fileUtils");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🧠 SEMANTIC PRODUCT INDEX
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// One vector per catalog row, built from the row's descriptive attributes.
+// Vectors are cached on disk keyed by a hash of that text, so a new catalog
+// upload only embeds rows that actually changed.
+
+const DESCRIPTIVE_FIELDS = [
+  "Product Category",
+  "Sub Category",
+  "Collection",
+  "Style",
+  "Gold Purity",
+  "Gender Name",
+  "Diamond Clarity",
+  "Diamond Colour"
+];
+
+// Text that describes a product for embedding
+function productText(product) {
+  const parts = DESCRIPTIVE_FIELDS
+    .map(field => (product[field] ? `${field}: ${product[field]}` : null))
+    .filter(Boolean);
+  if (Number(product["Dia Wt"]) > 0) parts.push("with diamonds");
+  if (Number(product["CS Wt"]) > 0) parts.push("with colour stones");
+  return parts.join(". ");
+}
+
+const textHash = (text) => crypto.createHash("sha1").update(text).digest("hex");
+
+// Float32Array <-> base64 for a compact JSON cache
+const encodeVector = (vector) => Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString("base64");
+function decodeVector(encoded) {
+  const buf = Buffer.from(encoded, "base64");
+  return new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// Create a semantic index over the catalog using an embedding provider
+function createSemanticIndex({ provider, cacheDir }) {
+  const cacheFile = path.join(cacheDir, `embeddings-${provider.name}-${provider.model.replace(/[^\w.-]/g, "_")}.json`);
+  let cache = new Map(); // text hash -> Float32Array
+  let entries = [];      // [{ product, vector }] for the live catalog
+  let building = null;
+  let generation = 0;    // bumped by every rebuild; only the latest one may touch entries or the cache
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(cacheFile, "utf8"));
+    cache = new Map(Object.entries(saved.vectors || {}).map(([hash, encoded]) => [hash, decodeVector(encoded)]));
+    console.log(`🧠 Loaded ${cache.size} cached embeddings (${provider.model})`);
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error("❌ Error reading embedding cache:", err.message);
+  }
+
+  function persist() {
+    const vectors = {};
+    for (const [hash, vector] of cache) vectors[hash] = encodeVector(vector);
+    writeFileAtomic(cacheFile, JSON.stringify({ provider: provider.name, model: provider.model, vectors }));
+  }
+
+  // (Re)build the index for a catalog; only rows with new text are embedded.
+  // A build overtaken by a newer one (e.g. an upload followed by a rollback) is dropped
+  async function build(products, buildId) {
+    const texts = products.map(productText);
+    const hashes = texts.map(textHash);
+    const missing = [...new Set(hashes.filter(h => !cache.has(h)))];
+
+    if (missing.length > 0) {
+      console.log(`🧠 Embedding ${missing.length} new/changed products (${provider.model})`);
+      const missingTexts = missing.map(h => texts[hashes.indexOf(h)]);
+      const vectors = await provider.embed(missingTexts);
+      if (buildId !== generation) {
+        console.log(`🧠 Semantic index build superseded by a newer catalog; ${products.length} products discarded`);
+        return;
+      }
+      missing.forEach((hash, i) => cache.set(hash, vectors[i]));
+    }
+
+    // Drop vectors for rows that no longer exist so the cache does not grow forever
+    const live = new Set(hashes);
+    let pruned = 0;
+    for (const hash of cache.keys()) {
+      if (!live.has(hash)) {
+        cache.delete(hash);
+        pruned++;
+      }
+    }
+    if (missing.length > 0 || pruned > 0) persist();
+
+    entries = products.map((product, i) => ({ product, vector: cache.get(hashes[i]) }));
+    console.log(`✅ Semantic index ready: ${entries.length} products`);
+  }
+
+  // Start a rebuild in the background; searches use the previous index until it finishes
+  function rebuild(products) {
+    const run = build(products, ++generation).catch(err => {
+      console.error("❌ Error building semantic index:", err.message);
+    });
+    building = run;
+    run.finally(() => {
+      if (building === run) building = null;
+    });
+    return run;
+  }
+
+  function rank(queryVector, { limit, exclude, filter }) {
+    return entries
+      .filter(e => e.vector && e.product !== exclude && (!filter || filter(e.product)))
+      .map(e => ({ product: e.product, score: dot(queryVector, e.vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Products closest in meaning to free text ("delicate daily office wear")
+  async function search(text, { limit = 10, filter } = {}) {
+    if (!entries.length || !text) return [];
+    const [queryVector] = await provider.embed([text]);
+    return rank(queryVector, { limit, filter });
+  }
+
+  // Products closest to a given product ("more like this")
+  function similarTo(product, { limit = 10, filter } = {}) {
+    const entry = entries.find(e => e.product === product || e.product["JewelCode"] === product["JewelCode"]);
+    if (!entry || !entry.vector) return [];
+    return rank(entry.vector, { limit, exclude: entry.product, filter });
+  }
+
+  return {
+    rebuild,
+    search,
+    similarTo,
+    isReady: () => entries.length > 0,
+    isBuilding: () => !!building,
+    getInfo: () => ({ provider: provider.name, model: provider.model, indexed: entries.length, building: !!building })
+  };
+}
+
+module.exports = { createSemanticIndex, productText };
@@ -0,0 +1,155 @@
+const path = require("path");
+const fs = require("fs");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 💾 SESSION STORE
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Every store implements the same async interface:
+//   get(phone)           -> session or null (expired sessions are dropped)
+//   save(phone, session) -> stores the session and refreshes its expiry
+//   delete(phone)        -> removes the session
+//   purgeExpired()       -> removes every expired session, returns the count
+//   list()               -> [{ phone, session }] for all live sessions
+//
+// A session looks like:
+//   { history: [ { role, content } ], productResults: { products, currentIndex } | null, language, updatedAt }
+//   language -> "en" | "hi" | "hinglish", detected from the customer's messages
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Fresh session for a customer we have not seen (or whose session expired)
+function createEmptySession() {
+  return { history: [], productResults: null, language: null, updatedAt: null };
+}
+
+function isExpired(session, ttlMs) {
+  return !session.updatedAt || Date.now() - new Date(session.updatedAt).getTime() > ttlMs;
+}
+
+// In-memory store (tests and local development)
+function createMemorySessionStore({ ttlMs = DEFAULT_TTL_MS } = {}) {
+  const sessions = new Map();
+
+  return {
+    async get(phone) {
+      const session = sessions.get(phone);
+      if (!session) return null;
+      if (isExpired(session, ttlMs)) {
+        sessions.delete(phone);
+        return null;
+      }
+      return session;
+    },
+
+    async save(phone, session) {
+      session.updatedAt = new Date().toISOString();
+      sessions.set(phone, session);
+    },
+
+    async delete(phone) {
+      sessions.delete(phone);
+    },
+
+    async purgeExpired() {
+      let purged = 0;
+      for (const [phone, session] of sessions) {
+        if (isExpired(session, ttlMs)) {
+          sessions.delete(phone);
+          purged++;
+        }
+      }
+      return purged;
+    },
+
+    async list() {
+      return [...sessions].filter(([, s]) => !isExpired(s, ttlMs)).map(([phone, session]) => ({ phone, session }));
+    }
+  };
+}
+
+// File-backed store: one JSON file per customer, survives restarts
+function createFileSessionStore({ dir, ttlMs = DEFAULT_TTL_MS }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = (phone) => path.join(dir, `${String(phone).replace(/[^\w-]/g, "_")}.json`);
+
+  async function readSession(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error("❌ Error reading session file:", filePath, err.message);
+      }
+      return null;
+    }
+  }
+
+  return {
+    async get(phone) {
+      const filePath = fileFor(phone);
+      const session = await readSession(filePath);
+      if (!session) return null;
+      if (isExpired(session, ttlMs)) {
+        await fs.promises.rm(filePath, { force: true });
+        return null;
+      }
+      return session;
+    },
+
+    async save(phone, session) {
+      session.updatedAt = new Date().toISOString();
+      const filePath = fileFor(phone);
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify({ phone, ...session }));
+      await fs.promises.rename(tmpPath, filePath);
+    },
+
+    async delete(phone) {
+      await fs.promises.rm(fileFor(phone), { force: true });
+    },
+
+    async purgeExpired() {
+      let purged = 0;
+      for (const name of await fs.promises.readdir(dir)) {
+        if (!name.endsWith(".json")) continue;
+        const filePath = path.join(dir, name);
+        const session = await readSession(filePath);
+        if (!session || isExpired(session, ttlMs)) {
+          await fs.promises.rm(filePath, { force: true });
+          purged++;
+        }
+      }
+      return purged;
+    },
+
+    async list() {
+      const results = [];
+      for (const name of await fs.promises.readdir(dir)) {
+        if (!name.endsWith(".json")) continue;
+        const session = await readSession(path.join(dir, name));
+        if (session && !isExpired(session, ttlMs)) {
+          const { phone, ...rest } = session;
+          results.push({ phone, session: rest });
+        }
+      }
+      return results;
+    }
+  };
+}
+
+// Build the store selected by SESSION_STORE ("file" by default, or "memory")
+function createSessionStore({ type = "file", dir, ttlMs = DEFAULT_TTL_MS } = {}) {
+  if (type === "memory") {
+    return createMemorySessionStore({ ttlMs });
+  }
+  return createFileSessionStore({ dir, ttlMs });
+}
+
+module.exports = {
+  DEFAULT_TTL_MS,
+  createEmptySession,
+  createSessionStore,
+  createMemorySessionStore,
+  createFileSessionStore
+};
@@ -0,0 +1,144 @@
+const fs = require("fs");
+const path = require("path");
+const { validateBusinessHours, normalizeBusinessHours, businessHoursFromEnv } = require("./businessHours");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🏬 TENANTS (one per showroom / WhatsApp number)
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Each JSON file in TENANTS_DIR describes one store:
+//   {
+//     "id": "southex",
+//     "phoneNumberId": "1234567890",               -> metadata.phone_number_id on its webhooks
+//     "tokenEnv": "SOUTHEX_WHATSAPP_TOKEN",         -> env var holding its token (or "token" inline)
+//     "catalogFile": "uploads/southex.xlsx",        -> relative to the app directory
+//     "brand": { "name", "location", "website", "instagram", "facebook", "youtube", "note" },
+//     "prompt": "Extra instructions for this store's assistant",
+//     "columns": { "Item Code": "JewelCode" },      -> workbook header -> column the bot expects
+//     "businessHours": { "weekdays": [1, 2, 3, 4, 5, 6], "open": "11:00", "close": "20:30", "timeZone": "Asia/Kolkata",
+//                        "holidays": [{ "date": "2026-11-08", "name": "Diwali" }] }   -> see lib/businessHours.js
+//   }
+// With no tenant files the app runs as a single store configured from the
+// environment (PHONE_NUMBER_ID, WHATSAPP_TOKEN, BUSINESS_HOURS_*, uploads/app-items.xlsx) with data kept in DATA_DIR as before.
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const BRAND_FIELDS = ["name", "location", "website", "instagram", "facebook", "youtube", "note"];
+
+// The original single-store brand, used when running from the environment
+const DEFAULT_BRAND = {
+  name: "RK Jewellers",
+  location: "South Extension, New Delhi (flagship store)",
+  website: "rkjewellers.in",
+  instagram: "instagram.com/rkjewellers_southex2",
+  facebook: "facebook.com/zeljewellers",
+  youtube: "https://www.youtube.com/@RKJewellers",
+  note: "Many shops share the name RK Jewellers; this is the one and only flagship store in South Extension, New Delhi."
+};
+
+// Check one tenant config; returns an error message or null
+function validateTenant(config) {
+  if (!config || typeof config !== "object") return "must be a JSON object";
+  if (typeof config.id !== "string" || !TENANT_ID_PATTERN.test(config.id)) return "id must be lowercase letters, digits and dashes";
+  if (!/^\d+$/.test(String(config.phoneNumberId || ""))) return "phoneNumberId must be the WhatsApp phone number ID (digits)";
+  if (!config.token && !config.tokenEnv) return "token or tokenEnv is required";
+  if (config.tokenEnv && !process.env[config.tokenEnv]) return `environment variable ${config.tokenEnv} is not set`;
+  if (config.catalogFile !== undefined && typeof config.catalogFile !== "string") return "catalogFile must be a path";
+
+  const brand = config.brand;
+  if (!brand || typeof brand.name !== "string" || !brand.name.trim()) return "brand.name is required";
+  const badField = BRAND_FIELDS.find(field => brand[field] !== undefined && typeof brand[field] !== "string");
+  if (badField) return `brand.${badField} must be a string`;
+
+  if (config.prompt !== undefined && typeof config.prompt !== "string") return "prompt must be a string";
+  if (config.columns !== undefined) {
+    if (!config.columns || typeof config.columns !== "object" || !Object.values(config.columns).every(v => typeof v === "string")) {
+      return "columns must map workbook headers to column names, e.g. { \"Item Code\": \"JewelCode\" }";
+    }
+  }
+
+  if (config.businessHours !== undefined) return validateBusinessHours(config.businessHours);
+  return null;
+}
+
+// Fill in defaults and resolve paths for a validated config
+function normalizeTenant(config, { appDir, dataDir }) {
+  return {
+    id: config.id,
+    phoneNumberId: String(config.phoneNumberId),
+    token: config.token || process.env[config.tokenEnv],
+    catalogFile: path.resolve(appDir, config.catalogFile || path.join("uploads", `${config.id}.xlsx`)),
+    dataDir: config.dataDir || path.join(dataDir, "tenants", config.id),
+    brand: { ...config.brand },
+    prompt: config.prompt || "",
+    columns: config.columns || {},
+    businessHours: normalizeBusinessHours(config.businessHours)
+  };
+}
+
+// Single store from the environment, reading and writing the original file locations
+function tenantFromEnv({ appDir, dataDir }) {
+  return {
+    id: "default",
+    phoneNumberId: process.env.PHONE_NUMBER_ID || null,
+    token: process.env.WHATSAPP_TOKEN || null,
+    catalogFile: path.join(appDir, "uploads", "app-items.xlsx"),
+    dataDir,
+    brand: { ...DEFAULT_BRAND },
+    prompt: "",
+    columns: {},
+    businessHours: businessHoursFromEnv()
+  };
+}
+
+// Read every tenant file; throws on an invalid file or a duplicate id / phone number ID
+function loadTenantConfigs({ dir, appDir, dataDir }) {
+  const files = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(name => name.endsWith(".json")).sort()
+    : [];
+  if (files.length === 0) {
+    return { tenants: [tenantFromEnv({ appDir, dataDir })], fromEnv: true };
+  }
+
+  const tenants = [];
+  for (const name of files) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(path.join(dir, name), "utf8"));
+    } catch (err) {
+      throw new Error(`Tenant file ${name} is not valid JSON: ${err.message}`);
+    }
+    const error = validateTenant(config);
+    if (error) throw new Error(`Tenant file ${name}: ${error}`);
+    if (tenants.some(t => t.id === config.id)) throw new Error(`Tenant file ${name}: duplicate id "${config.id}"`);
+    if (tenants.some(t => t.phoneNumberId === String(config.phoneNumberId))) {
+      throw new Error(`Tenant file ${name}: phone number ID ${config.phoneNumberId} is already used by another tenant`);
+    }
+    tenants.push(normalizeTenant(config, { appDir, dataDir }));
+  }
+  return { tenants, fromEnv: false };
+}
+
+// Look up tenants by id and by the phone number ID a webhook arrived on
+function createTenantRegistry({ tenants, fromEnv }) {
+  const byId = new Map(tenants.map(t => [t.id, t]));
+  const byPhoneNumberId = new Map(tenants.filter(t => t.phoneNumberId).map(t => [t.phoneNumberId, t]));
+
+  // A single store from the environment takes every webhook, as before tenants existed
+  function resolve(phoneNumberId) {
+    return byPhoneNumberId.get(String(phoneNumberId)) || (fromEnv ? tenants[0] : null);
+  }
+
+  return {
+    list: () => [...tenants],
+    get: (id) => byId.get(id) || null,
+    resolve,
+    defaultTenant: tenants[0]
+  };
+}
+
+module.exports = {
+  DEFAULT_BRAND,
+  validateTenant,
+  loadTenantConfigs,
+  createTenantRegistry
+};
@@ -0,0 +1,146 @@
+const { readJsonFile, createDebouncedJsonWriter } = require("./fileUtils");
+const { localDate } = require("./time");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🚦 PER-CUSTOMER THROTTLING
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Every webhook arrives from Meta's servers, so limits are kept per customer
+// (key = "<tenant>:<phone>"), not per IP:
+//   messages -> more than maxMessages within windowMs starts a cooldown. Each further
+//               cooldown the same day doubles (up to maxCooldownMs); the customer gets one
+//               polite reply per cooldown and everything else they send is dropped.
+//   tokens   -> model tokens used per store-local day; past dailyTokenBudget the
+//               assistant stops calling the model for that customer until tomorrow.
+// Token usage is persisted so a restart does not hand out a fresh budget; message
+// windows and cooldowns live in memory.
+
+const DEFAULTS = {
+  maxMessages: Number(process.env.CUSTOMER_RATE_LIMIT_MESSAGES) || 8,
+  windowMs: (Number(process.env.CUSTOMER_RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000,
+  cooldownMs: (Number(process.env.CUSTOMER_COOLDOWN_MINUTES) || 2) * 60 * 1000,
+  maxCooldownMs: (Number(process.env.CUSTOMER_MAX_COOLDOWN_MINUTES) || 60) * 60 * 1000,
+  dailyTokenBudget: Number(process.env.CUSTOMER_DAILY_TOKEN_BUDGET) || 50000
+};
+
+function createCustomerThrottle({ filePath, ...options } = {}) {
+  const { maxMessages, windowMs, cooldownMs, maxCooldownMs, dailyTokenBudget } = { ...DEFAULTS, ...options };
+  const customers = new Map(); // key -> { arrivals: [ms], cooldownUntil, notified, strikes, strikeDate }
+
+  const saved = filePath ? readJsonFile(filePath, {}) : {};
+  let usage = { date: saved.date || localDate(), tokens: saved.tokens || {} };
+  const writer = filePath ? createDebouncedJsonWriter(filePath, () => usage) : { save() {}, flush() {} };
+
+  function customer(key) {
+    if (!customers.has(key)) {
+      customers.set(key, { arrivals: [], cooldownUntil: 0, notified: false, strikes: 0, strikeDate: null });
+    }
+    return customers.get(key);
+  }
+
+  // Usage rolls over at store-local midnight
+  function todaysUsage() {
+    const today = localDate();
+    if (usage.date !== today) {
+      usage = { date: today, tokens: {} };
+      writer.save();
+    }
+    return usage.tokens;
+  }
+
+  // Count one inbound message:
+  //   { allowed: true } or { allowed: false, notify, until, strikes }
+  // notify is true once per cooldown, for the polite "slow down" reply
+  function checkMessage(key, now = Date.now()) {
+    const c = customer(key);
+
+    if (now < c.cooldownUntil) {
+      const notify = !c.notified;
+      c.notified = true;
+      return { allowed: false, notify, until: new Date(c.cooldownUntil).toISOString(), strikes: c.strikes };
+    }
+
+    c.arrivals = c.arrivals.filter(ts => now - ts < windowMs);
+    c.arrivals.push(now);
+    if (c.arrivals.length <= maxMessages) return { allowed: true };
+
+    const today = localDate();
+    if (c.strikeDate !== today) {
+      c.strikes = 0;
+      c.strikeDate = today;
+    }
+    c.strikes++;
+    c.cooldownUntil = now + Math.min(cooldownMs * 2 ** (c.strikes - 1), maxCooldownMs);
+    c.arrivals = [];
+    c.notified = true;
+    console.log(`🚦 ${key} sent more than ${maxMessages} messages in ${windowMs / 1000}s; cooling down until ${new Date(c.cooldownUntil).toISOString()} (strike ${c.strikes})`);
+    return { allowed: false, notify: true, until: new Date(c.cooldownUntil).toISOString(), strikes: c.strikes };
+  }
+
+  // Add a completion's usage ({ total_tokens }) to today's count
+  function recordTokens(key, tokenUsage) {
+    const tokens = Number(tokenUsage?.total_tokens) || 0;
+    if (tokens <= 0) return;
+    const today = todaysUsage();
+    today[key] = (today[key] || 0) + tokens;
+    writer.save();
+  }
+
+  function tokensUsed(key) {
+    return todaysUsage()[key] || 0;
+  }
+
+  function hasTokenBudget(key) {
+    return !(dailyTokenBudget > 0) || tokensUsed(key) < dailyTokenBudget;
+  }
+
+  // Active cooldowns and today's heaviest model users, for the admin API
+  function status(now = Date.now()) {
+    const cooldowns = [...customers.entries()]
+      .filter(([, c]) => c.cooldownUntil > now)
+      .map(([key, c]) => ({ key, until: new Date(c.cooldownUntil).toISOString(), strikes: c.strikes }));
+    const tokens = Object.entries(todaysUsage())
+      .map(([key, used]) => ({ key, used, overBudget: dailyTokenBudget > 0 && used >= dailyTokenBudget }))
+      .sort((a, b) => b.used - a.used);
+    return {
+      limits: { maxMessages, windowSeconds: windowMs / 1000, cooldownMinutes: cooldownMs / 60000, maxCooldownMinutes: maxCooldownMs / 60000, dailyTokenBudget },
+      date: usage.date,
+      cooldowns,
+      tokens
+    };
+  }
+
+  // Lift a cooldown and give back today's budget
+  function reset(key) {
+    const existed = customers.delete(key) || key in todaysUsage();
+    delete todaysUsage()[key];
+    writer.save();
+    return existed;
+  }
+
+  // Drop everything kept for a phone number, in every store
+  function forgetPhone(phone) {
+    const matches = (key) => key.endsWith(`:${phone}`);
+    for (const key of [...customers.keys()]) {
+      if (matches(key)) customers.delete(key);
+    }
+    for (const key of Object.keys(usage.tokens)) {
+      if (matches(key)) delete usage.tokens[key];
+    }
+    writer.flush();
+  }
+
+  // Forget message windows nobody has used for a while
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, c] of customers) {
+      if (c.cooldownUntil < now && c.arrivals.every(ts => now - ts >= windowMs) && c.strikeDate !== localDate()) {
+        customers.delete(key);
+      }
+    }
+  }, 10 * 60 * 1000).unref();
+
+  return { checkMessage, recordTokens, tokensUsed, hasTokenBudget, status, reset, forgetPhone, flush: writer.flush };
+}
+
+module.exports = { createCustomerThrottle };
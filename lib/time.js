@@ -0,0 +1,32 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🕰️ STORE-LOCAL TIME
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const STORE_TIMEZONE = process.env.STORE_TIMEZONE || "Asia/Kolkata";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date, weekday and time of an instant as seen in the store's time zone
+function localParts(date, timeZone = STORE_TIMEZONE) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    weekday: "short",
+    hourCycle: "h23"
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday)
+  };
+}
+
+// "YYYY-MM-DD" in the store's time zone, daysAgo days before now
+function localDate(daysAgo = 0) {
+  return localParts(new Date(Date.now() - daysAgo * DAY_MS)).date;
+}
+
+module.exports = { STORE_TIMEZONE, DAY_MS, localParts, localDate };
@@ -0,0 +1,562 @@
+const { normalizeSlot } = require("./leads");
+const { describeBusinessHours, storeStatus, upcomingHolidays, holidayOn } = require("./businessHours");
+const { STORE_TIMEZONE } = require("./time");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🧰 MODEL TOOLS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const MAX_ROWS_TO_MODEL = 20;
+const PRODUCTS_PER_PAGE = 3;
+const MAX_COMPARE = 4;
+
+// OpenAI Tools Configuration
+const TOOL_DEFINITIONS = [
+  {
+    type: "function",
+    function: {
+      name: "getProducts",
+      description: "Retrieve products from the catalog, ranked by relevance. Use the structured filters for anything the customer specified and put remaining descriptive words in query. Call it several times in one turn to search different things (e.g. rings and earrings).",
+      parameters: {
+        type: "object",
+        properties: {
+          query: { type: "string", description: "Free-text keywords not covered by a filter, e.g. \"floral\" or a JewelCode" },
+          category: { type: "string", description: "Product category or sub category, e.g. ring, earrings, pendant, bangle" },
+          purity: { type: "string", description: "Gold purity, e.g. 14KT, 18KT, 22KT" },
+          gender: { type: "string", description: "Female, Male, Kids or Unisex" },
+          minPrice: { type: "number", description: "Minimum sale price in rupees" },
+          maxPrice: { type: "number", description: "Maximum sale price in rupees" },
+          collection: { type: "string", description: "Collection name" },
+          style: { type: "string", description: "Design style, e.g. floral, solitaire, temple, kundan" },
+          diamondClarity: { type: "string", description: "Diamond clarity, e.g. VVS, VS, SI" },
+          diamondColour: { type: "string", description: "Diamond colour, e.g. EF, GH, IJ" }
+        },
+        required: []
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "suggestFallback",
+      description: "Retrieve the 3 products closest to what the customer asked for when no exact match is found.",
+      parameters: {
+        type: "object",
+        properties: { query: { type: "string", description: "What the customer was looking for; defaults to the last search that found nothing" } },
+        required: []
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "findSimilar",
+      description: "Find products similar to a given JewelCode (\"more like this\"), in the same category.",
+      parameters: {
+        type: "object",
+        properties: { jewelCode: { type: "string", description: "The JewelCode to find similar pieces for" } },
+        required: ["jewelCode"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "getProductByCode",
+      description: "Look up one product by its JewelCode and return its full details.",
+      parameters: {
+        type: "object",
+        properties: { jewelCode: { type: "string", description: "The product's JewelCode" } },
+        required: ["jewelCode"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "compareProducts",
+      description: "Compare 2 to 4 products side by side (price, weights, purity, diamonds) to explain how they differ.",
+      parameters: {
+        type: "object",
+        properties: {
+          jewelCodes: { type: "array", items: { type: "string" }, description: "JewelCodes to compare" }
+        },
+        required: ["jewelCodes"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "explainPrice",
+      description: "Itemised price breakdown (gold value at today's rate, making charge, diamonds, stones, GST) for 1 to 4 products. Use when the customer asks why a piece costs what it does or why one is more expensive.",
+      parameters: {
+        type: "object",
+        properties: {
+          jewelCodes: { type: "array", items: { type: "string" }, description: "JewelCodes to explain" }
+        },
+        required: ["jewelCodes"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "getStoreInfo",
+      description: "Store location, opening hours, website and social links. Use before answering questions about visiting or contacting the store.",
+      parameters: {
+        type: "object",
+        properties: { topic: { type: "string", description: "What the customer asked about, e.g. location, hours, contact" } },
+        required: []
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "getPolicy",
+      description: "Fetch the store's policy on a topic such as buyback, exchange, making charges or hallmarking. Only quote policies returned by this tool.",
+      parameters: {
+        type: "object",
+        properties: { topic: { type: "string", description: "Policy topic, e.g. buyback, exchange, making-charges, hallmarking" } },
+        required: ["topic"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "searchKnowledge",
+      description: "Search the store's FAQs, policies and notes for anything not covered by the product catalog.",
+      parameters: {
+        type: "object",
+        properties: { query: { type: "string", description: "The customer's question in a few words" } },
+        required: ["query"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "checkAvailability",
+      description: "Check whether a product is in stock, using its JewelCode.",
+      parameters: {
+        type: "object",
+        properties: { jewelCode: { type: "string", description: "The product's JewelCode" } },
+        required: ["jewelCode"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "saveToWishlist",
+      description: "Save a product to the customer's wishlist (\"save this one\", \"add to my list\").",
+      parameters: {
+        type: "object",
+        properties: { jewelCode: { type: "string", description: "The product's JewelCode" } },
+        required: ["jewelCode"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "removeFromWishlist",
+      description: "Remove a product from the customer's wishlist.",
+      parameters: {
+        type: "object",
+        properties: { jewelCode: { type: "string", description: "The product's JewelCode" } },
+        required: ["jewelCode"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "getWishlist",
+      description: "Show the products the customer has saved to their wishlist.",
+      parameters: { type: "object", properties: {}, required: [] }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "requestCallback",
+      description: "Ask the store team to call the customer back on this WhatsApp number.",
+      parameters: {
+        type: "object",
+        properties: {
+          preferredTime: { type: "string", description: "When the customer would like the call, in their words" },
+          jewelCodes: { type: "array", items: { type: "string" }, description: "Products the call is about, if any" },
+          note: { type: "string", description: "What the customer wants to discuss" }
+        },
+        required: []
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "getAppointmentSlots",
+      description: "List open store-visit appointment slots. Always call this before booking and offer only slots it returns.",
+      parameters: {
+        type: "object",
+        properties: { date: { type: "string", description: "Only slots on this date, YYYY-MM-DD" } },
+        required: []
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "bookAppointment",
+      description: "Book a store-visit appointment in one of the slots returned by getAppointmentSlots, once the customer has chosen it.",
+      parameters: {
+        type: "object",
+        properties: {
+          slot: { type: "string", description: "The chosen slot exactly as returned, \"YYYY-MM-DD HH:MM\"" },
+          jewelCodes: { type: "array", items: { type: "string" }, description: "Products the customer wants to see at the visit" },
+          note: { type: "string", description: "Anything the team should prepare" }
+        },
+        required: ["slot"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "placeHold",
+      description: "Request that the store hold an in-stock product for the customer for a limited time.",
+      parameters: {
+        type: "object",
+        properties: { jewelCode: { type: "string", description: "The product's JewelCode" } },
+        required: ["jewelCode"]
+      }
+    }
+  }
+];
+
+// Select Required Columns for AI Processing
+function selectColumns(rows) {
+  return rows.map(p => ({
+    jewelCode: p["JewelCode"],
+    category: p["Product Category"],
+    subCategory: p["Sub Category"],
+    collection: p["Collection"],
+    style: p["Style"],
+    goldPurity: p["Gold Purity"],
+    price: p["Sale Price"],
+    gender: p["Gender Name"],
+    grossWt: p["Gross Wt"],
+    netWt: p["Net Wt"],
+    diamondWt: p["Dia Wt"],
+    img: p["Image URL"]
+  }));
+}
+
+// Full column set for single-product lookups and comparisons
+function selectDetailColumns(rows) {
+  return selectColumns(rows).map((summary, i) => {
+    const p = rows[i];
+    return {
+      ...summary,
+      diamondClarity: p["Diamond Clarity"],
+      diamondColour: p["Diamond Colour"],
+      qualityCode: p["quality code"],
+      metalAmount: p["Metal Amt"],
+      diamondAmount: p["Dia Amt"],
+      colourStoneWt: p["CS Wt"],
+      colourStoneAmount: p["CS Amt"],
+      inStock: p["Qty"] === undefined || p["Qty"] === "" ? undefined : Number(p["Qty"]) > 0
+    };
+  });
+}
+
+// Describe a search's criteria as one query for suggestions
+function criteriaText(args) {
+  return [args.query, args.category, args.collection, args.style, args.purity].filter(Boolean).join(" ");
+}
+
+// Create the tool runner. Each call resolves to:
+//   { result, showProducts, resultSet, searchMissed }
+//   result       -> JSON-serializable payload returned to the model
+//   showProducts -> rows to send to the customer as product cards
+//   resultSet    -> full result list for "show more" (null clears it, undefined leaves it)
+//   searchMissed -> true when a catalog search found nothing
+//
+// runTool(name, argsJSON, turn) takes an object shared by the tool calls of one
+// customer turn: turn.phone identifies the customer for wishlist and lead tools,
+// suggestFallback reads the search that just came up empty, and turn.searches
+// collects what the customer searched for.
+// storeInfo is the tenant's { id, brand, businessHours }; brand facts are what the model may quote
+function createToolRunner({ catalog, findProducts, suggestProducts, similarProducts, knowledgeBase, pricing, leads, storeInfo }) {
+  const { brand, businessHours } = storeInfo;
+
+  // No store visits on the store's holidays; slots, bookings and holds are this store's own
+  const isClosed = (date) => !!holidayOn(businessHours, date);
+  const slotOptions = { isClosed, tenantId: storeInfo.id, timeZone: businessHours?.timeZone || STORE_TIMEZONE };
+
+  // Leads remember which store they came in through, and each store keeps its own wishlists
+  const createLead = (type, phone, fields) => leads.createLead(type, phone, { ...fields, tenantId: storeInfo.id });
+  const wishlistOptions = { tenantId: storeInfo.id };
+
+  // Rows shown to the model and the customer carry today's price
+  const live = (rows) => rows.map(p => pricing.withLivePrice(p));
+
+  // JewelCodes that exist in the catalog, in catalog spelling
+  const knownCodes = (codes) => (Array.isArray(codes) ? codes : [])
+    .map(code => catalog.findByCode(code))
+    .filter(Boolean)
+    .map(p => p["JewelCode"]);
+
+  // Short reference the customer can quote to staff
+  const shortRef = (lead) => lead.id.slice(0, 8).toUpperCase();
+
+  const toKnowledgeResult = (entry) => ({ title: entry.title, topic: entry.topic, content: entry.content, updatedAt: entry.updatedAt });
+
+  const handlers = {
+    async getProducts(args, turn) {
+      const allMatches = await findProducts(args);
+      (turn.searches ||= []).push(criteriaText(args));
+      if (allMatches.length === 0) {
+        turn.lastMissedQuery = criteriaText(args);
+        return { result: { message: "No products found matching your query." }, resultSet: null, searchMissed: true };
+      }
+
+      const result = { products: selectColumns(live(allMatches.slice(0, MAX_ROWS_TO_MODEL))) };
+      if (allMatches.length > PRODUCTS_PER_PAGE) {
+        result.remaining = allMatches.length - PRODUCTS_PER_PAGE;
+      }
+      return { result, showProducts: allMatches.slice(0, PRODUCTS_PER_PAGE), resultSet: allMatches };
+    },
+
+    async suggestFallback({ query } = {}, turn) {
+      const fallback = await suggestProducts(query || turn.lastMissedQuery);
+      return { result: { products: selectColumns(live(fallback)) }, showProducts: fallback, resultSet: null };
+    },
+
+    findSimilar({ jewelCode }) {
+      const product = catalog.findByCode(jewelCode);
+      if (!product) {
+        return { result: { message: `No product found with JewelCode ${jewelCode}.` } };
+      }
+      const similar = similarProducts(product);
+      if (similar.length === 0) {
+        return { result: { message: `No other pieces similar to ${product["JewelCode"]} were found.` }, resultSet: null };
+      }
+
+      const result = { products: selectColumns(live(similar.slice(0, MAX_ROWS_TO_MODEL))) };
+      if (similar.length > PRODUCTS_PER_PAGE) {
+        result.remaining = similar.length - PRODUCTS_PER_PAGE;
+      }
+      return { result, showProducts: similar.slice(0, PRODUCTS_PER_PAGE), resultSet: similar };
+    },
+
+    getProductByCode({ jewelCode }) {
+      const product = catalog.findByCode(jewelCode);
+      if (!product) {
+        return { result: { message: `No product found with JewelCode ${jewelCode}.` } };
+      }
+      return { result: { product: selectDetailColumns(live([product]))[0] }, showProducts: [product] };
+    },
+
+    compareProducts({ jewelCodes }) {
+      const codes = (Array.isArray(jewelCodes) ? jewelCodes : []).slice(0, MAX_COMPARE);
+      const found = codes.map(code => catalog.findByCode(code)).filter(Boolean);
+      const notFound = codes.filter(code => !catalog.findByCode(code));
+      if (found.length < 2) {
+        return { result: { message: "Need at least two valid JewelCodes to compare.", notFound } };
+      }
+      const products = selectDetailColumns(live(found)).map((summary, i) => ({
+        ...summary,
+        priceBreakdown: pricing.breakdown(found[i])
+      }));
+      return { result: { products, notFound } };
+    },
+
+    explainPrice({ jewelCodes }) {
+      const codes = (Array.isArray(jewelCodes) ? jewelCodes : [jewelCodes]).filter(Boolean).slice(0, MAX_COMPARE);
+      const explanations = codes.map(code => {
+        const product = catalog.findByCode(code);
+        if (!product) return { jewelCode: code, message: "Product not found" };
+        const breakdown = pricing.breakdown(product);
+        return breakdown || {
+          jewelCode: product["JewelCode"],
+          price: product["Sale Price"],
+          message: "Today's gold rate for this purity has not been posted, so only the catalog price is available.",
+          metalAmount: product["Metal Amt"],
+          diamondAmount: product["Dia Amt"],
+          colourStoneAmount: product["CS Amt"],
+          netWt: product["Net Wt"],
+          goldPurity: product["Gold Purity"]
+        };
+      });
+      return { result: { explanations } };
+    },
+
+    getStoreInfo({ topic } = {}) {
+      const hours = knowledgeBase.list({ type: "hours" }).map(toKnowledgeResult);
+      const openingHours = describeBusinessHours(businessHours);
+      const status = storeStatus(businessHours);
+      const holidays = upcomingHolidays(businessHours);
+      return {
+        result: {
+          ...brand,
+          topic: topic || null,
+          ...(openingHours ? { openingHours, openNow: status.open } : {}),
+          ...(status.nextOpen ? { opensNext: status.nextOpen.text } : {}),
+          ...(holidays.length ? { holidays } : {}),
+          hours: hours.length ? hours : openingHours || "Store hours have not been shared; suggest contacting the store.",
+          policies: "Use getPolicy for buyback, exchange and other policy questions."
+        }
+      };
+    },
+
+    getPolicy({ topic }) {
+      const policies = knowledgeBase.getPolicy(topic);
+      if (policies.length === 0) {
+        return { result: { message: `No ${topic || ""} policy has been shared. Politely guide the customer to contact the store directly.` } };
+      }
+      return { result: { policies: policies.map(toKnowledgeResult) } };
+    },
+
+    searchKnowledge({ query }) {
+      const matches = knowledgeBase.search(query, { types: ["policy", "hours", "faq"] });
+      if (matches.length === 0) {
+        return { result: { message: "Nothing in the store's knowledge base matches this question." } };
+      }
+      return { result: { entries: matches.map(toKnowledgeResult) } };
+    },
+
+    checkAvailability({ jewelCode }) {
+      const product = catalog.findByCode(jewelCode);
+      if (!product) {
+        return { result: { message: `No product found with JewelCode ${jewelCode}.` } };
+      }
+      const qty = product["Qty"];
+      if (qty === undefined || qty === "") {
+        return { result: { jewelCode: product["JewelCode"], available: "unknown", message: "Stock is not recorded for this item; suggest checking with the store." } };
+      }
+      return { result: { jewelCode: product["JewelCode"], available: Number(qty) > 0, quantity: Number(qty) } };
+    },
+
+    saveToWishlist({ jewelCode }, turn) {
+      const product = catalog.findByCode(jewelCode);
+      if (!product) {
+        return { result: { message: `No product found with JewelCode ${jewelCode}.` } };
+      }
+      const { added, full, items } = leads.addToWishlist(turn.phone, product["JewelCode"], wishlistOptions);
+      const message = added ? "Saved to the wishlist." : full ? "The wishlist is full; ask the customer to remove something first." : "Already in the wishlist.";
+      return { result: { jewelCode: product["JewelCode"], saved: added, message, wishlistSize: items.length } };
+    },
+
+    removeFromWishlist({ jewelCode }, turn) {
+      const removed = leads.removeFromWishlist(turn.phone, jewelCode, wishlistOptions);
+      return { result: { jewelCode, removed, message: removed ? "Removed from the wishlist." : "That product was not in the wishlist." } };
+    },
+
+    getWishlist(args, turn) {
+      const items = leads.getWishlist(turn.phone, wishlistOptions);
+      const products = items.map(i => catalog.findByCode(i.jewelCode)).filter(Boolean);
+      if (products.length === 0) {
+        return { result: { message: "The wishlist is empty." } };
+      }
+      const unavailable = items.map(i => i.jewelCode).filter(code => !catalog.findByCode(code));
+      return {
+        result: { products: selectColumns(live(products)), unavailable },
+        showProducts: products.slice(0, PRODUCTS_PER_PAGE),
+        resultSet: products
+      };
+    },
+
+    requestCallback({ preferredTime, jewelCodes, note }, turn) {
+      const lead = createLead("callback", turn.phone, {
+        preferredTime,
+        jewelCodes: knownCodes(jewelCodes),
+        note
+      });
+      const { open, nextOpen } = storeStatus(businessHours);
+      const message = open || !nextOpen
+        ? "The store team will call the customer back on this number."
+        : `The store is closed now; the team will call the customer back on this number after it opens (${nextOpen.text}).`;
+      return { result: { requested: true, reference: shortRef(lead), preferredTime: lead.preferredTime, message } };
+    },
+
+    getAppointmentSlots({ date } = {}) {
+      const slots = leads.availableSlots({ ...slotOptions, date });
+      if (slots.length === 0) {
+        return { result: { message: date ? `No open slots on ${date}. Offer other dates.` : "No open slots in the coming days. Offer a callback instead." } };
+      }
+      return { result: { slots, timeZone: slotOptions.timeZone } };
+    },
+
+    bookAppointment({ slot, jewelCodes, note }, turn) {
+      const normalized = normalizeSlot(slot);
+      if (!normalized || !leads.isSlotAvailable(normalized, slotOptions)) {
+        return { result: { booked: false, message: "That slot is not available.", openSlots: leads.availableSlots({ ...slotOptions, limit: 5 }) } };
+      }
+      const lead = createLead("appointment", turn.phone, { slot: normalized, jewelCodes: knownCodes(jewelCodes), note });
+      return { result: { booked: true, reference: shortRef(lead), slot: lead.slot, store: brand.location || brand.name } };
+    },
+
+    placeHold({ jewelCode }, turn) {
+      const product = catalog.findByCode(jewelCode);
+      if (!product) {
+        return { result: { message: `No product found with JewelCode ${jewelCode}.` } };
+      }
+      const code = product["JewelCode"];
+      const qty = Number(product["Qty"]);
+      if (!(qty > 0)) {
+        return { result: { held: false, jewelCode: code, message: "This piece is not in stock, so it cannot be held. Offer similar pieces or a callback." } };
+      }
+
+      const holds = leads.activeHolds(code, { tenantId: storeInfo.id });
+      const existing = holds.find(h => h.phone === turn.phone);
+      if (existing) {
+        return { result: { held: true, jewelCode: code, reference: shortRef(existing), expiresAt: existing.expiresAt, message: "The customer already has a hold on this piece." } };
+      }
+      if (holds.length >= qty) {
+        return { result: { held: false, jewelCode: code, message: "Every piece in stock is already on hold for other customers." } };
+      }
+
+      const lead = createLead("hold", turn.phone, { jewelCodes: [code] });
+      return { result: { held: true, jewelCode: code, reference: shortRef(lead), expiresAt: lead.expiresAt, message: "Hold requested; the store team will confirm." } };
+    }
+  };
+
+  return async function runTool(name, argsJSON, turn = {}) {
+    const handler = handlers[name];
+    if (!handler) {
+      return { result: { error: `Unknown tool: ${name}` } };
+    }
+
+    let args;
+    try {
+      args = argsJSON ? JSON.parse(argsJSON) : {};
+    } catch (err) {
+      return { result: { error: "Invalid tool arguments (expected JSON)." } };
+    }
+    if (args === null) args = {};
+    if (typeof args !== "object" || Array.isArray(args)) {
+      return { result: { error: "Invalid tool arguments (expected a JSON object)." } };
+    }
+
+    // A failing tool is reported to the model, which can retry or answer without it
+    try {
+      return await handler(args, turn);
+    } catch (err) {
+      console.error(`❌ Tool ${name} failed:`, err);
+      return { result: { error: `The ${name} tool failed. Try again or answer without it.` } };
+    }
+  };
+}
+
+module.exports = {
+  MAX_ROWS_TO_MODEL,
+  PRODUCTS_PER_PAGE,
+  TOOL_DEFINITIONS,
+  createToolRunner,
+  selectColumns,
+  selectDetailColumns
+};
@@ -0,0 +1,88 @@
+const crypto = require("crypto");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🛡️ WEBHOOK SIGNATURE VERIFICATION & DEDUPLICATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Keep the exact request bytes for HMAC checks (pass as bodyParser.json({ verify }))
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+// Check Meta's X-Hub-Signature-256 header ("sha256=<hex>") against the raw body
+function isValidSignature(rawBody, signatureHeader, appSecret) {
+  if (!rawBody || !signatureHeader || !appSecret) return false;
+  const [algo, received] = String(signatureHeader).split("=");
+  if (algo !== "sha256" || !received) return false;
+
+  const expected = crypto.createHmac("sha256", appSecret).update(rawBody).digest("hex");
+  const expectedBuf = Buffer.from(expected, "hex");
+  const receivedBuf = Buffer.from(received, "hex");
+  return expectedBuf.length === receivedBuf.length && crypto.timingSafeEqual(expectedBuf, receivedBuf);
+}
+
+// Unsigned deliveries are only accepted with APP_SECRET unset and ALLOW_UNSIGNED_WEBHOOKS=true (local testing)
+const allowUnsignedWebhooks = () => !process.env.APP_SECRET && process.env.ALLOW_UNSIGNED_WEBHOOKS === "true";
+
+// Express middleware rejecting unsigned or tampered webhook deliveries with 401
+function verifyWebhookSignature(req, res, next) {
+  const appSecret = process.env.APP_SECRET;
+  if (!appSecret) {
+    if (allowUnsignedWebhooks()) return next();
+    console.log("❌ Webhook rejected: APP_SECRET is not set, so signatures cannot be verified");
+    return res.status(401).json({ error: "Webhook signature verification is not configured" });
+  }
+
+  const signature = req.get("x-hub-signature-256");
+  if (!signature) {
+    console.log("❌ Webhook rejected: missing X-Hub-Signature-256 header");
+    return res.status(401).json({ error: "Missing signature" });
+  }
+
+  if (!isValidSignature(req.rawBody, signature, appSecret)) {
+    console.log("❌ Webhook rejected: invalid signature");
+    return res.status(401).json({ error: "Invalid signature" });
+  }
+
+  next();
+}
+
+// Bounded TTL set used to drop redelivered message IDs
+function createTtlCache({ ttlMs, maxEntries }) {
+  const entries = new Map(); // key -> expiresAt, in insertion order
+
+  function evict() {
+    const now = Date.now();
+    for (const [key, expiresAt] of entries) {
+      if (expiresAt > now && entries.size <= maxEntries) break;
+      entries.delete(key);
+    }
+  }
+
+  return {
+    // Returns true the first time a key is seen within the TTL, false for repeats
+    add(key) {
+      evict();
+      const expiresAt = entries.get(key);
+      if (expiresAt && expiresAt > Date.now()) return false;
+      entries.delete(key);
+      entries.set(key, Date.now() + ttlMs);
+      return true;
+    },
+    has(key) {
+      const expiresAt = entries.get(key);
+      return !!expiresAt && expiresAt > Date.now();
+    },
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = {
+  allowUnsignedWebhooks,
+  captureRawBody,
+  isValidSignature,
+  verifyWebhookSignature,
+  createTtlCache
+};
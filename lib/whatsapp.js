@@ -0,0 +1,354 @@
+const axios = require("axios");
+const { AsyncLocalStorage } = require("async_hooks");
+const { t } = require("./language");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📱 WHATSAPP OUTBOUND MESSAGING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const TEXT_LIMIT = 4096;          // text.body
+const CAPTION_LIMIT = 1024;       // image.caption and interactive body.text
+const BUTTON_TITLE_LIMIT = 20;    // reply button title
+const LIST_ROW_TITLE_LIMIT = 24;  // list row title
+const LIST_ROW_DESC_LIMIT = 72;   // list row description
+const MEDIA_MAX_BYTES = (Number(process.env.MEDIA_MAX_MB) || 16) * 1024 * 1024; // inbound media we will download
+
+// Button reply ids sent with product cards ("<action>:<JewelCode>")
+const PRODUCT_ACTIONS = {
+  MORE_LIKE_THIS: "more_like",
+  ENQUIRE: "enquire"
+};
+
+// Outbound guard: (to) -> false blocks the message, e.g. for customers who sent STOP
+let outboundGuard = null;
+
+function setOutboundGuard(guard) {
+  outboundGuard = guard;
+}
+
+// Graph API root; GRAPH_API_BASE_URL points it elsewhere, e.g. at the test suite's fake server
+function graphUrl(pathname) {
+  const base = (process.env.GRAPH_API_BASE_URL || "https://graph.facebook.com").replace(/\/+$/, "");
+  return `${base}/${process.env.VERSION}/${pathname}`;
+}
+
+// Sending number for the current call chain (set by createWhatsAppClient); PHONE_NUMBER_ID/WHATSAPP_TOKEN otherwise
+const senderCredentials = new AsyncLocalStorage();
+
+function currentSender() {
+  const sender = senderCredentials.getStore() || {};
+  return {
+    phoneNumberId: sender.phoneNumberId || process.env.PHONE_NUMBER_ID,
+    token: sender.token || process.env.WHATSAPP_TOKEN
+  };
+}
+
+// POST a message payload to the Graph API
+async function postMessage(payload) {
+  if (outboundGuard && !outboundGuard(payload.to)) {
+    const err = new Error("Recipient has opted out of messages");
+    err.code = "OPTED_OUT";
+    throw err;
+  }
+  const { phoneNumberId, token } = currentSender();
+  return axios.post(
+    graphUrl(`${phoneNumberId}/messages`),
+    { messaging_product: "whatsapp", recipient_type: "individual", ...payload },
+    {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    }
+  );
+}
+
+// Download a file a customer sent (voice note, photo): the media endpoint returns a
+// short-lived URL, which must be fetched with the same token
+async function downloadMedia(mediaId, { maxBytes = MEDIA_MAX_BYTES } = {}) {
+  const { token } = currentSender();
+  const headers = { 'Authorization': `Bearer ${token}` };
+
+  const { data: media } = await axios.get(graphUrl(mediaId), { headers });
+  if (media.file_size > maxBytes) {
+    const err = new Error(`Media ${mediaId} is ${media.file_size} bytes (limit ${maxBytes})`);
+    err.code = "MEDIA_TOO_LARGE";
+    throw err;
+  }
+
+  const response = await axios.get(media.url, { headers, responseType: "arraybuffer", maxContentLength: maxBytes });
+  return {
+    buffer: Buffer.from(response.data),
+    mimeType: media.mime_type || response.headers["content-type"] || null
+  };
+}
+
+// Ensure phone number is properly formatted (should start with country code)
+function isValidRecipient(to) {
+  return !!to && /^\d+$/.test(to);
+}
+
+function truncate(text, limit) {
+  const str = String(text || "");
+  return str.length > limit ? str.substring(0, limit - 1) + "…" : str;
+}
+
+// Turn Google Drive share links into direct-download links WhatsApp can fetch
+function toDirectImageUrl(url) {
+  if (!url || typeof url !== "string") return url;
+  const trimmed = url.trim();
+  if (!/drive\.google\.com/.test(trimmed)) return trimmed;
+
+  const fileMatch = trimmed.match(/\/file\/d\/([\w-]+)/);
+  const idMatch = trimmed.match(/[?&]id=([\w-]+)/);
+  const fileId = fileMatch?.[1] || idMatch?.[1];
+  return fileId ? `https://drive.google.com/uc?export=download&id=${fileId}` : trimmed;
+}
+
+// Product summary used as caption / card body, labelled in the customer's language
+function formatProductCaption(p, language) {
+  const category = p["Product Category"] || t(language, "jewelry");
+  const subCategory = p["Sub Category"] || "";
+  const collection = p["Collection"] || "";
+  const style = p["Style"] || "";
+  const price = p["Sale Price"] ? `₹${p["Sale Price"]}` : t(language, "noPrice");
+  const jewelCode = p["JewelCode"] || "";
+  const goldPurity = p["Gold Purity"] || "";
+  const gender = p["Gender Name"] || "";
+  const grossWt = p["Gross Wt"] || "";
+
+  let productText = `✨ *${category}`;
+  if (subCategory) productText += ` - ${subCategory}`;
+  productText += `*\n💰 ${price}`;
+  if (jewelCode) productText += `\n🏷️ ${t(language, "codeLabel")}: ${jewelCode}`;
+  if (style) productText += `\n🎨 ${t(language, "styleLabel")}: ${style}`;
+  if (goldPurity) productText += `\n⚡ ${t(language, "goldLabel")}: ${goldPurity}`;
+  if (gender) productText += `\n👤 ${t(language, "genderLabel")}: ${gender}`;
+  if (collection) productText += `\n💎 ${t(language, "collectionLabel")}: ${collection}`;
+  if (grossWt) productText += `\n⚖️ ${t(language, "weightLabel")}: ${grossWt}gm`;
+  return productText;
+}
+
+// Full product details (caption plus weights, diamond quality and stock)
+function formatProductDetails(p, language) {
+  let details = formatProductCaption(p, language);
+  if (p["Net Wt"]) details += `\n⚖️ ${t(language, "netWeightLabel")}: ${p["Net Wt"]}gm`;
+  if (p["Dia Wt"]) details += `\n💠 ${t(language, "diamondWeightLabel")}: ${p["Dia Wt"]}ct`;
+  if (p["Diamond Clarity"] || p["Diamond Colour"]) {
+    details += `\n🔎 ${t(language, "diamondQualityLabel")}: ${[p["Diamond Clarity"], p["Diamond Colour"]].filter(Boolean).join(" / ")}`;
+  }
+  if (p["CS Wt"]) details += `\n🔴 ${t(language, "stoneWeightLabel")}: ${p["CS Wt"]}ct`;
+  if (p["Qty"] !== undefined && p["Qty"] !== "") {
+    details += `\n📦 ${t(language, Number(p["Qty"]) > 0 ? "inStock" : "outOfStock")}`;
+  }
+  return details;
+}
+
+// Send WhatsApp Text Message
+async function sendWhatsApp(to, text) {
+  try {
+    // Ensure text is not empty and is a string
+    if (!text || typeof text !== 'string') {
+      console.error("❌ Invalid text message:", text);
+      return;
+    }
+
+    if (!isValidRecipient(to)) {
+      console.error("❌ Invalid phone number format:", to);
+      return;
+    }
+
+    const response = await postMessage({
+      to: to,
+      type: "text",
+      text: {
+        preview_url: true,
+        body: text.substring(0, TEXT_LIMIT) // WhatsApp has a 4096 character limit
+      }
+    });
+
+    console.log("✅ Message sent successfully:", response.data);
+    return response;
+  } catch (err) {
+    console.error("❌ Error sending WhatsApp message:", err.response?.data || err.message);
+    throw err;
+  }
+}
+
+// Send WhatsApp Image Message (with optional caption)
+async function sendWhatsAppImage(to, imageUrl, caption) {
+  try {
+    if (!isValidRecipient(to)) {
+      console.error("❌ Invalid phone number format:", to);
+      return;
+    }
+
+    const image = { link: toDirectImageUrl(imageUrl) };
+    if (caption) image.caption = truncate(caption, CAPTION_LIMIT);
+
+    const response = await postMessage({ to, type: "image", image });
+    console.log("✅ Image sent successfully:", response.data);
+    return response;
+  } catch (err) {
+    console.error("❌ Error sending WhatsApp image:", err.response?.data || err.message);
+    throw err;
+  }
+}
+
+// Send Interactive Reply Buttons (max 3), optionally with an image header
+async function sendWhatsAppButtons(to, bodyText, buttons, { imageUrl, footer } = {}) {
+  try {
+    if (!isValidRecipient(to)) {
+      console.error("❌ Invalid phone number format:", to);
+      return;
+    }
+
+    const interactive = {
+      type: "button",
+      body: { text: truncate(bodyText, CAPTION_LIMIT) },
+      action: {
+        buttons: buttons.slice(0, 3).map(b => ({
+          type: "reply",
+          reply: { id: b.id, title: truncate(b.title, BUTTON_TITLE_LIMIT) }
+        }))
+      }
+    };
+    if (imageUrl) interactive.header = { type: "image", image: { link: toDirectImageUrl(imageUrl) } };
+    if (footer) interactive.footer = { text: truncate(footer, 60) };
+
+    const response = await postMessage({ to, type: "interactive", interactive });
+    console.log("✅ Interactive buttons sent successfully:", response.data);
+    return response;
+  } catch (err) {
+    console.error("❌ Error sending WhatsApp buttons:", err.response?.data || err.message);
+    throw err;
+  }
+}
+
+// Send Interactive List Message: sections = [{ title, rows: [{ id, title, description }] }]
+async function sendWhatsAppList(to, bodyText, buttonText, sections) {
+  try {
+    if (!isValidRecipient(to)) {
+      console.error("❌ Invalid phone number format:", to);
+      return;
+    }
+
+    const interactive = {
+      type: "list",
+      body: { text: truncate(bodyText, CAPTION_LIMIT) },
+      action: {
+        button: truncate(buttonText, BUTTON_TITLE_LIMIT),
+        sections: sections.map(section => ({
+          title: truncate(section.title, LIST_ROW_TITLE_LIMIT),
+          rows: section.rows.slice(0, 10).map(row => ({
+            id: row.id,
+            title: truncate(row.title, LIST_ROW_TITLE_LIMIT),
+            ...(row.description ? { description: truncate(row.description, LIST_ROW_DESC_LIMIT) } : {})
+          }))
+        }))
+      }
+    };
+
+    const response = await postMessage({ to, type: "interactive", interactive });
+    console.log("✅ Interactive list sent successfully:", response.data);
+    return response;
+  } catch (err) {
+    console.error("❌ Error sending WhatsApp list:", err.response?.data || err.message);
+    throw err;
+  }
+}
+
+// Send an approved template message (allowed outside the 24-hour customer service window)
+//   template: { name, language, bodyParams: ["Riya", "20%"], headerImageUrl }
+async function sendWhatsAppTemplate(to, { name, language = "en", bodyParams = [], headerImageUrl } = {}) {
+  try {
+    if (!isValidRecipient(to)) {
+      throw new Error(`Invalid phone number format: ${to}`);
+    }
+
+    const components = [];
+    if (headerImageUrl) {
+      components.push({ type: "header", parameters: [{ type: "image", image: { link: toDirectImageUrl(headerImageUrl) } }] });
+    }
+    if (bodyParams.length > 0) {
+      components.push({ type: "body", parameters: bodyParams.map(text => ({ type: "text", text: String(text) })) });
+    }
+
+    const response = await postMessage({
+      to,
+      type: "template",
+      template: {
+        name,
+        language: { code: language },
+        ...(components.length ? { components } : {})
+      }
+    });
+    console.log(`✅ Template "${name}" sent successfully:`, response.data);
+    return response;
+  } catch (err) {
+    console.error(`❌ Error sending WhatsApp template "${name}":`, err.response?.data || err.message);
+    throw err;
+  }
+}
+
+// Send One Product as a Single Message
+// Interactive card (image header + "More like this"/"Enquire") -> image with caption -> plain text
+async function sendProductCard(to, product, { language } = {}) {
+  const caption = formatProductCaption(product, language);
+  const imageUrl = product["Image URL"];
+  const jewelCode = product["JewelCode"];
+  const style = (process.env.PRODUCT_CARD_STYLE || "interactive").toLowerCase();
+
+  if (style === "interactive" && jewelCode) {
+    try {
+      return await sendWhatsAppButtons(to, caption, [
+        { id: `${PRODUCT_ACTIONS.MORE_LIKE_THIS}:${jewelCode}`, title: t(language, "moreLikeButton") },
+        { id: `${PRODUCT_ACTIONS.ENQUIRE}:${jewelCode}`, title: t(language, "enquireButton") }
+      ], { imageUrl });
+    } catch (err) {
+      console.log(`⚠️ Product card failed for ${jewelCode}, falling back to image/text`);
+    }
+  }
+
+  if (imageUrl) {
+    try {
+      return await sendWhatsAppImage(to, imageUrl, caption);
+    } catch (err) {
+      console.log(`⚠️ Image failed for ${jewelCode || "product"}, falling back to text`);
+    }
+  }
+
+  return await sendWhatsApp(to, caption);
+}
+
+// The send functions (and media downloads), using one WhatsApp number (one per tenant)
+function createWhatsAppClient({ phoneNumberId, token }) {
+  const bind = (send) => (...args) => senderCredentials.run({ phoneNumberId, token }, () => send(...args));
+  return {
+    sendWhatsApp: bind(sendWhatsApp),
+    sendWhatsAppImage: bind(sendWhatsAppImage),
+    sendWhatsAppButtons: bind(sendWhatsAppButtons),
+    sendWhatsAppList: bind(sendWhatsAppList),
+    sendWhatsAppTemplate: bind(sendWhatsAppTemplate),
+    sendProductCard: bind(sendProductCard),
+    downloadMedia: bind(downloadMedia)
+  };
+}
+
+module.exports = {
+  PRODUCT_ACTIONS,
+  createWhatsAppClient,
+  downloadMedia,
+  graphUrl,
+  postMessage,
+  setOutboundGuard,
+  sendWhatsApp,
+  sendWhatsAppImage,
+  sendWhatsAppButtons,
+  sendWhatsAppList,
+  sendWhatsAppTemplate,
+  sendProductCard,
+  formatProductCaption,
+  formatProductDetails,
+  toDirectImageUrl
+};
@@ -0,0 +1,71 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+process.env.CATALOG_CHECK_IMAGES = "false"; // the fixture's image links point nowhere
+const { createCatalogStore, writeWorkbook, checkImageLinks } = require("../lib/catalog");
+const { applySchema, normalizePurity } = require("../lib/catalogSchema");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wabot-catalog-"));
+const fixture = fs.readFileSync(path.join(__dirname, "fixtures", "catalog.csv"));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+for (const ext of [".csv", ".xlsx", ".xls"]) {
+  test(`an upload to a ${ext} catalog survives a reload`, () => {
+    const filePath = path.join(dir, `catalog${ext}`);
+    fs.writeFileSync(filePath, writeWorkbook([{ "JewelCode": "OLD001", "Product Category": "Ring", "Sale Price": 1000 }], filePath));
+
+    const store = createCatalogStore({ filePath });
+    store.loadFromDisk();
+    store.replaceFromUpload(fixture, "upload.csv");
+    assert.equal(store.getProducts().length, 8);
+
+    const reloaded = createCatalogStore({ filePath });
+    reloaded.loadFromDisk();
+    assert.equal(reloaded.getProducts().length, 8);
+    assert.equal(reloaded.findByCode("RNG003")["Style"], "Floral Cocktail Ring");
+
+    reloaded.replaceFromUpload(fixture, "again.csv");
+    reloaded.rollback();
+    const afterRollback = createCatalogStore({ filePath });
+    afterRollback.loadFromDisk();
+    assert.equal(afterRollback.getProducts().length, 8);
+  });
+}
+
+test("purity values are read from karats, hallmark fineness or both", () => {
+  assert.equal(normalizePurity("18 kt"), "18KT");
+  assert.equal(normalizePurity("22 Karat"), "22KT");
+  assert.equal(normalizePurity("18K750"), "18KT");
+  assert.equal(normalizePurity("22K916"), "22KT");
+  assert.equal(normalizePurity("916"), "22KT");
+  assert.equal(normalizePurity("platinum"), null);
+});
+
+test("image links that cannot be fetched are reported as unreachable", async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(req.url === "/ok.jpg" ? 206 : 404, { "Content-Type": "image/jpeg" });
+    res.end("x");
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const { products, report, rowNumbers } = applySchema([
+      { "JewelCode": "A1", "Product Category": "Ring", "Sub Category": "Band", "Gold Purity": "18KT", "Sale Price": 100, "Image URL": `${base}/ok.jpg` },
+      { "JewelCode": "A2", "Product Category": "Ring", "Sub Category": "Band", "Gold Purity": "18KT", "Sale Price": 100, "Image URL": `${base}/gone.jpg` }
+    ]);
+    assert.equal(report.imageCheck.status, "skipped");
+
+    await checkImageLinks(products, report, { rowNumbers });
+    assert.deepEqual({ ...report.imageCheck, finishedAt: undefined }, { status: "done", checked: 2, unreachable: 1, finishedAt: undefined });
+    assert.deepEqual(report.missingImages, [{ row: 3, jewelCode: "A2" }]);
+    assert.equal(report.issues.find(i => i.jewelCode === "A2").problem, "image unreachable (HTTP 404)");
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,63 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createContactStore, validateAudience } = require("../lib/contacts");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wabot-contacts-"));
+const stores = [];
+
+function createStore(name) {
+  const store = createContactStore({ filePath: path.join(dir, `${name}.json`) });
+  stores.push(store);
+  return store;
+}
+
+after(() => {
+  stores.forEach(store => store.flush());
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("a store's audience only includes customers who messaged that store", () => {
+  const contacts = createStore("scoped");
+  contacts.recordInbound("911", { tenantId: "andheri" });
+  contacts.recordSearches("911", ["gold bangles"], { tenantId: "andheri" });
+  contacts.recordInbound("922", { tenantId: "bandra" });
+  contacts.recordSearches("922", ["gold bangles"], { tenantId: "bandra" });
+  contacts.recordInbound("933", { tenantId: "andheri" });
+  contacts.recordInbound("933", { tenantId: "bandra" });
+  contacts.recordSearches("933", ["bangles"], { tenantId: "bandra" });
+  ["911", "922", "933"].forEach(phone => contacts.setOptIn(phone, true));
+
+  assert.deepEqual(contacts.resolveAudience({ optedIn: true, tenantId: "andheri" }), ["911", "933"]);
+  assert.deepEqual(contacts.resolveAudience({ searched: "bangles", tenantId: "andheri" }), ["911"]);
+  assert.deepEqual(contacts.resolveAudience({ searched: "bangles", tenantId: "bandra" }), ["922", "933"]);
+  assert.deepEqual(contacts.resolveAudience({ phones: ["922", "944"], tenantId: "andheri" }), []);
+});
+
+test("contacts recorded before stores were tracked belong to the default store", () => {
+  const filePath = path.join(dir, "legacy.json");
+  fs.writeFileSync(filePath, JSON.stringify({ contacts: {
+    "955": { phone: "955", optedIn: true, searches: [{ query: "rings", at: new Date().toISOString() }] }
+  } }));
+  const contacts = createContactStore({ filePath });
+  stores.push(contacts);
+  contacts.assignLegacyContacts("main");
+
+  assert.deepEqual(contacts.resolveAudience({ searched: "rings", tenantId: "main" }), ["955"]);
+  assert.deepEqual(contacts.resolveAudience({ optedIn: true, tenantId: "other" }), []);
+});
+
+test("audiences only include contacts who opted in", () => {
+  const contacts = createStore("consent");
+  contacts.recordInbound("966", { tenantId: "andheri" });
+  contacts.recordSearches("966", ["gold bangles"], { tenantId: "andheri" });
+  contacts.recordInbound("977", { tenantId: "andheri" });
+  contacts.recordSearches("977", ["gold bangles"], { tenantId: "andheri" });
+  contacts.setOptIn("977", true);
+
+  assert.deepEqual(contacts.resolveAudience({ searched: "bangles", tenantId: "andheri" }), ["977"]);
+  assert.deepEqual(contacts.resolveAudience({ phones: ["966", "977"], tenantId: "andheri" }), ["977"]);
+  assert.equal(validateAudience({ optedIn: false }), "audience.optedIn must be true (campaigns only reach contacts who opted in)");
+});
@@ -0,0 +1,126 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness");
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+// JewelCodes on the product cards in a batch of sent messages
+const cardCodes = (sent) => sent
+  .filter(m => m.type === "interactive")
+  .map(m => m.payload.interactive.action.buttons[0].reply.id.split(":")[1]);
+
+test("a search replies with a summary and one card per product", async () => {
+  const sent = await harness.sendText("show me rings", { from: "919800000101" });
+
+  assert.equal(sent[0].type, "text");
+  assert.match(sent[0].body, /^Here are some pieces you might like!/);
+  assert.match(sent[0].body, /I found 2 more items/);
+  assert.deepEqual(cardCodes(sent), ["RNG001", "RNG002", "RNG003"]);
+
+  const card = sent[1].payload.interactive;
+  assert.equal(card.header.image.link, "https://img.example.test/RNG001.jpg");
+  assert.deepEqual(card.action.buttons.map(b => b.reply.title), ["More like this", "Enquire"]);
+});
+
+test("\"show more\" pages through the stored results without calling the model", async () => {
+  const customer = "919800000102";
+  await harness.sendText("show me rings", { from: customer });
+  const modelCalls = harness.bot.llm.calls.length;
+
+  const page2 = await harness.sendText("show more", { from: customer });
+  assert.match(page2[0].body, /That's all the products we have!/);
+  assert.deepEqual(cardCodes(page2), ["RNG004", "RNG005"]);
+
+  const page3 = await harness.sendText("show more", { from: customer });
+  assert.equal(page3.length, 1);
+  assert.match(page3[0].body, /I've shown you all the available products/);
+
+  assert.equal(harness.bot.llm.calls.length, modelCalls);
+});
+
+test("a question containing \"more\" after a search goes to the model", async () => {
+  const customer = "919800000110";
+  await harness.sendText("show me rings", { from: customer });
+  const modelCalls = harness.bot.llm.calls.length;
+
+  await harness.sendText("why is this one more expensive?", { from: customer });
+  assert.ok(harness.bot.llm.calls.length > modelCalls);
+});
+
+test("the \"show more\" button before any search asks for a search first", async () => {
+  const sent = await harness.sendButton("show_more", "Show more", { from: "919800000103" });
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].body, "Please search for products first before asking to see more.");
+});
+
+test("a search that finds nothing falls back to suggestions", async () => {
+  const sent = await harness.sendText("xylophone", { from: "919800000104" });
+
+  const toolsCalled = harness.bot.llm.calls
+    .flatMap(call => call.messages)
+    .filter(m => m.tool_calls)
+    .flatMap(m => m.tool_calls.map(c => c.function.name));
+  assert.ok(toolsCalled.includes("suggestFallback"), "suggestFallback should follow the empty search");
+
+  assert.equal(sent[0].body, "Here are some pieces you might like!");
+  assert.ok(cardCodes(sent).length > 0, "fallback products are shown");
+});
+
+test("a product card the Graph API rejects is resent as an image", async () => {
+  harness.graph.failNext(payload => payload.type === "interactive");
+  const sent = await harness.sendText("show me rings", { from: "919800000105" });
+
+  assert.deepEqual(sent.map(m => m.type), ["text", "image", "interactive", "interactive"]);
+  assert.equal(sent[1].payload.image.link, "https://img.example.test/RNG001.jpg");
+  assert.match(sent[1].body, /RNG001/);
+});
+
+test("unsupported message types get a polite text-only reply", async () => {
+  const sent = await harness.send({ type: "contacts", contacts: [{ name: { formatted_name: "Someone" } }] }, { from: "919800000106" });
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].body, /^I can only process text messages/);
+
+  const hinglish = "919800000112";
+  await harness.sendText("mujhe rings dikhao", { from: hinglish });
+  const reply = await harness.send({ type: "contacts", contacts: [{ name: { formatted_name: "Someone" } }] }, { from: hinglish });
+  assert.match(reply[0].body, /^Main abhi sirf text messages samajh sakta hoon/);
+});
+
+test("reactions get no reply", async () => {
+  const sent = await harness.send({ type: "reaction", reaction: { message_id: "wamid.fake.1", emoji: "❤️" } }, { from: "919800000107" });
+  assert.equal(sent.length, 0);
+});
+
+test("a model failure sends the customer an apology", async () => {
+  const sent = await harness.sendText("crash the model please", { from: "919800000108" });
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].body, "🙏 Sorry, I encountered an error processing your message. Please try again.");
+  assert.ok(harness.logs.some(line => line.includes("Scripted model failure")));
+});
+
+test("the apology is in the customer's language", async () => {
+  const sent = await harness.sendText("mujhe crash wali anguthi dikhao", { from: "919800000109" });
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].body, /dikkat aayi/);
+});
+
+test("product cards and buttons use the customer's language", async () => {
+  const customer = "919800000111";
+  const cards = (await harness.sendText("mujhe rings dikhao", { from: customer })).filter(m => m.type === "interactive");
+  assert.deepEqual(cards[0].payload.interactive.action.buttons.map(b => b.reply.title), ["Aise aur dikhao", "Enquiry"]);
+  assert.match(cards[0].payload.interactive.body.text, /🏷️ Code: RNG001\n🎨 Style: Solitaire Ring\n⚡ Sona: 18KT/);
+
+  const saved = await harness.sendButton("wishlist:RNG001", "Save to wishlist", { from: customer });
+  assert.equal(saved[0].body, "❤️ RNG001 aapki wishlist mein save ho gaya. Kabhi bhi \"meri wishlist dikhao\" likhiye, ya ise dekhne ke liye store visit book kijiye.");
+
+  const again = await harness.sendButton("wishlist:RNG001", "Save to wishlist", { from: customer });
+  assert.equal(again[0].body, "RNG001 pehle se aapki wishlist mein hai.");
+});
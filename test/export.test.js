@@ -0,0 +1,22 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const XLSX = require("xlsx");
+const { buildExport } = require("../lib/export");
+
+test("CSV cells that would run as formulas are kept as text", () => {
+  const rows = [
+    { phone: "919800000001", name: "=HYPERLINK(\"http://evil.test\",\"click\")", note: "+1 call back", preferredTime: "-evening", tags: ["@home", "vip"], price: -500 },
+    { phone: "919800000002", name: "Asha", note: "wants a 2-3 day hold", preferredTime: "", tags: [], price: 42000 }
+  ];
+  const csv = buildExport(rows, { format: "csv" }).body.toString("utf8").split("\n");
+
+  assert.equal(csv[1], "919800000001,\"'=HYPERLINK(\"\"http://evil.test\"\",\"\"click\"\")\",'+1 call back,'-evening,\"'@home, vip\",-500");
+  assert.equal(csv[2], "919800000002,Asha,wants a 2-3 day hold,,,42000");
+});
+
+test("XLSX cells are written unchanged", () => {
+  const { body } = buildExport([{ note: "=1+1" }], { format: "xlsx" });
+  const sheet = XLSX.read(body).Sheets.Export;
+  assert.equal(sheet.A2.v, "=1+1");
+  assert.equal(sheet.A2.f, undefined);
+});
@@ -0,0 +1,21 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { HANDOFF_REASONS, detectEscalation } = require("../lib/handoff");
+
+test("asking for a person escalates to staff", () => {
+  for (const text of ["I want to talk to a human", "can I speak with the manager?", "connect me with your team", "is there a real person here", "I need an executive", "agent please", "Human", "staff?"]) {
+    assert.equal(detectEscalation(text), HANDOFF_REASONS.CUSTOMER_REQUEST, text);
+  }
+});
+
+test("mentioning staff, managers or owners does not", () => {
+  for (const text of ["gift ring for my manager", "a bracelet for the shop owner", "rings the staff recommend", "my travel agent said you have studs", "earrings for a human rights lawyer"]) {
+    assert.equal(detectEscalation(text), null, text);
+  }
+});
+
+test("callback requests and one-word mentions stay with the bot", () => {
+  for (const text of ["can you call me tomorrow", "please call me", "phone me after 6", "store", "team", "owner", "Manager?"]) {
+    assert.equal(detectEscalation(text), null, text);
+  }
+});
@@ -0,0 +1,127 @@
+const express = require("express");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🧪 FAKE WHATSAPP GRAPH API
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Stands in for graph.facebook.com (point GRAPH_API_BASE_URL at baseUrl).
+// Every POST /<version>/<phoneNumberId>/messages is recorded as
+//   { phoneNumberId, token, to, type, body, payload }
+// and answered like the Cloud API; failNext() makes matching sends fail.
+// Files added with addMedia() are served like inbound media: GET /<version>/<mediaId>
+// returns a URL, which is downloaded with the same bearer token (recorded in downloads).
+
+function createFakeGraphApi() {
+  const app = express();
+  app.use(express.json());
+
+  const messages = [];
+  const failures = []; // [{ match(payload), status, error }]
+  const media = new Map(); // mediaId -> { content, mimeType }
+  const downloads = []; // [{ mediaId, token }]
+  let messageCounter = 0;
+  let server = null;
+
+  // Text a customer would read, whatever the message type
+  function bodyOf(payload) {
+    if (payload.type === "text") return payload.text?.body;
+    if (payload.type === "image") return payload.image?.caption || "";
+    if (payload.type === "interactive") return payload.interactive?.body?.text;
+    if (payload.type === "template") return `template:${payload.template?.name}`;
+    return "";
+  }
+
+  app.post("/:version/:phoneNumberId/messages", (req, res) => {
+    const payload = req.body || {};
+    const failure = failures.find(f => f.match(payload));
+    if (failure) {
+      failures.splice(failures.indexOf(failure), 1);
+      return res.status(failure.status).json({ error: { message: failure.error, type: "OAuthException", code: 131000 } });
+    }
+
+    const id = `wamid.fake.${++messageCounter}`;
+    messages.push({
+      id,
+      phoneNumberId: req.params.phoneNumberId,
+      token: (req.get("authorization") || "").replace(/^Bearer /, ""),
+      to: payload.to,
+      type: payload.type,
+      body: bodyOf(payload),
+      payload
+    });
+    res.json({ messaging_product: "whatsapp", contacts: [{ input: payload.to, wa_id: payload.to }], messages: [{ id }] });
+  });
+
+  const tokenOf = (req) => (req.get("authorization") || "").replace(/^Bearer /, "");
+
+  app.get("/media-files/:mediaId", (req, res) => {
+    const file = media.get(req.params.mediaId);
+    if (!file || !tokenOf(req)) return res.sendStatus(404);
+    downloads.push({ mediaId: req.params.mediaId, token: tokenOf(req) });
+    res.type(file.mimeType).send(file.content);
+  });
+
+  app.get("/:version/:mediaId", (req, res) => {
+    const file = media.get(req.params.mediaId);
+    if (!file) {
+      return res.status(404).json({ error: { message: `Unsupported get request. Object with ID '${req.params.mediaId}' does not exist`, type: "GraphMethodException", code: 100 } });
+    }
+    res.json({
+      messaging_product: "whatsapp",
+      id: req.params.mediaId,
+      url: `${api.baseUrl}/media-files/${req.params.mediaId}`,
+      mime_type: file.mimeType,
+      file_size: file.content.length
+    });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ error: { message: `Fake Graph API has no route for ${req.method} ${req.path}` } });
+  });
+
+  const api = {
+    messages,
+    downloads,
+
+    async start() {
+      await new Promise((resolve, reject) => {
+        server = app.listen(0, "127.0.0.1", (err) => (err ? reject(err) : resolve()));
+      });
+      return this.baseUrl;
+    },
+
+    get baseUrl() {
+      return `http://127.0.0.1:${server.address().port}`;
+    },
+
+    // The next send matching match(payload) gets an error response instead
+    failNext(match, { status = 400, error = "Simulated Graph API error" } = {}) {
+      failures.push({ match, status, error });
+    },
+
+    // Serve a file as inbound media; returns its media ID
+    addMedia(mediaId, content, { mimeType = "application/octet-stream" } = {}) {
+      media.set(mediaId, { content: Buffer.from(content), mimeType });
+      return mediaId;
+    },
+
+    // Messages sent to one customer, oldest first
+    sentTo(phone) {
+      return messages.filter(m => m.to === phone);
+    },
+
+    reset() {
+      messages.length = 0;
+      failures.length = 0;
+      media.clear();
+      downloads.length = 0;
+    },
+
+    async close() {
+      if (server) await new Promise(resolve => server.close(resolve));
+    }
+  };
+  return api;
+}
+
+module.exports = { createFakeGraphApi };
@@ -0,0 +1,137 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { createFakeGraphApi } = require("./fakeGraphApi");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🧪 END-TO-END TEST HARNESS
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Boots the real app (index.js) against the fake Graph API, the fixture catalog
+// (test/fixtures/catalog.csv via tenants/teststore.json) and the scripted LLM
+// (test/fixtures/llm-script.json), with its data in a temporary directory.
+// index.js reads its configuration when first required, so start one harness
+// per test file; `node --test` runs every file in its own process.
+// Set TEST_LOGS=true to see the app's console output.
+
+const ROOT = path.join(__dirname, "..", "..");
+const FIXTURES = path.join(__dirname, "..", "fixtures");
+
+const PHONE_NUMBER_ID = "100200300";
+const CUSTOMER = "919800000001";
+const VERIFY_TOKEN = "test-verify-token";
+const APP_SECRET = "test-app-secret";
+
+let messageCounter = 0;
+let mediaCounter = 0;
+
+function sign(rawBody) {
+  return `sha256=${crypto.createHmac("sha256", APP_SECRET).update(rawBody).digest("hex")}`;
+}
+
+// A webhook delivery carrying one Cloud API message
+function webhookPayload(message, { phoneNumberId = PHONE_NUMBER_ID, name = "Test Customer" } = {}) {
+  return {
+    object: "whatsapp_business_account",
+    entry: [{
+      id: "test-waba",
+      changes: [{
+        field: "messages",
+        value: {
+          messaging_product: "whatsapp",
+          metadata: { display_phone_number: "911100000000", phone_number_id: phoneNumberId },
+          contacts: [{ wa_id: message.from, profile: { name } }],
+          messages: [message]
+        }
+      }]
+    }]
+  };
+}
+
+async function startHarness({ env = {} } = {}) {
+  const graph = createFakeGraphApi();
+  await graph.start();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "wabot-test-"));
+
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    TENANTS_DIR: path.join(FIXTURES, "tenants"),
+    GRAPH_API_BASE_URL: graph.baseUrl,
+    VERSION: "v21.0",
+    VERIFY_TOKEN,
+    APP_SECRET,
+    ADMIN_TOKEN: "test-admin-token",
+    LLM_PROVIDER: "mock",
+    LLM_MOCK_SCRIPT: path.join(FIXTURES, "llm-script.json"),
+    LOG_PHONE_NUMBERS: "true",
+    WEBHOOK_RATE_LIMIT: "1000", // every delivery comes from localhost
+    CATALOG_CHECK_IMAGES: "false", // the fixture's image links point nowhere
+    ...env
+  });
+
+  const logs = [];
+  if (process.env.TEST_LOGS !== "true") {
+    for (const method of ["log", "info", "warn", "error", "debug"]) {
+      console[method] = (...args) => logs.push(args.map(String).join(" "));
+    }
+  }
+
+  const bot = require(path.join(ROOT, "index.js"));
+  const server = await bot.start({ port: 0 });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // POST a webhook body as Meta would (signed unless signature is given)
+  async function postWebhook(body, { signature } = {}) {
+    const rawBody = JSON.stringify(body);
+    return fetch(`${baseUrl}/webhook`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Hub-Signature-256": signature ?? sign(rawBody) },
+      body: rawBody
+    });
+  }
+
+  // Deliver one inbound message and wait until the bot has finished replying;
+  // resolves with the messages sent back to the customer
+  async function send(fields, { from = CUSTOMER } = {}) {
+    const before = graph.messages.length;
+    const message = { from, id: `wamid.in.${++messageCounter}`, timestamp: String(Math.floor(Date.now() / 1000)), ...fields };
+    const res = await postWebhook(webhookPayload(message));
+    if (res.status !== 200) throw new Error(`Webhook returned ${res.status}`);
+    await bot.messageQueue.idle();
+    return graph.messages.slice(before).filter(m => m.to === from);
+  }
+
+  return {
+    bot,
+    graph,
+    baseUrl,
+    dataDir,
+    logs,
+    customer: CUSTOMER,
+    verifyToken: VERIFY_TOKEN,
+    postWebhook,
+    send,
+    sendText: (text, options) => send({ type: "text", text: { body: text } }, options),
+    sendButton: (id, title, options) => send({ type: "interactive", interactive: { type: "button_reply", button_reply: { id, title } } }, options),
+    // The mock speech-to-text and vision providers read the file as text, so the
+    // "recording" is the transcript and the "photo" is its description
+    sendVoiceNote: (transcript, options) => {
+      const id = graph.addMedia(`media-audio-${++mediaCounter}`, transcript, { mimeType: "audio/ogg" });
+      return send({ type: "audio", audio: { id, mime_type: "audio/ogg; codecs=opus", voice: true } }, options);
+    },
+    sendPhoto: (description, { caption, ...options } = {}) => {
+      const id = graph.addMedia(`media-image-${++mediaCounter}`, description, { mimeType: "image/jpeg" });
+      return send({ type: "image", image: { id, mime_type: "image/jpeg", ...(caption ? { caption } : {}) } }, options);
+    },
+    webhookPayload,
+
+    async stop() {
+      await bot.stop(server);
+      await graph.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { startHarness };
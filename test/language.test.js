@@ -0,0 +1,15 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { SHOW_MORE_PATTERN } = require("../lib/language");
+
+test("standalone show-more phrases ask for the next page", () => {
+  for (const text of ["show more", "Show me more", "more", "more please", "next", "Next page!", "continue", "ok show more designs", "aur dikhao", "aur bhi", "aur bhi dikhao", "aage dikhaiye", "और दिखाओ", "और भी दिखाइए", "आगे दिखाओ"]) {
+    assert.ok(SHOW_MORE_PATTERN.test(text), text);
+  }
+});
+
+test("questions that merely contain \"more\" or \"aur bhi\" are not pagination", () => {
+  for (const text of ["why is this one more expensive?", "tell me more about RNG001", "next week can I visit?", "continue with the booking for saturday", "aur bhi sasta hai kya?", "ye aur bhi accha hai", "और भी सस्ता है क्या"]) {
+    assert.ok(!SHOW_MORE_PATTERN.test(text), text);
+  }
+});
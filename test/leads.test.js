@@ -0,0 +1,69 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLeadStore } = require("../lib/leads");
+const { localParts } = require("../lib/time");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wabot-leads-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const everyDay = { weekdays: [0, 1, 2, 3, 4, 5, 6], times: ["23:58"], capacity: 1, daysAhead: 3 };
+
+test("a booking at one store leaves the slot open at the others", () => {
+  const leads = createLeadStore({ filePath: path.join(dir, "bookings.json") });
+  const andheri = { tenantId: "andheri", timeZone: "Asia/Kolkata" };
+  const bandra = { tenantId: "bandra", timeZone: "Asia/Kolkata" };
+  leads.setSlotConfig(everyDay, andheri);
+  leads.setSlotConfig(everyDay, bandra);
+
+  const [slot] = leads.availableSlots({ ...andheri, limit: 1 });
+  leads.createLead("appointment", "911", { slot, tenantId: "andheri" });
+
+  assert.equal(leads.isSlotAvailable(slot, andheri), false);
+  assert.equal(leads.isSlotAvailable(slot, bandra), true);
+});
+
+test("slot rules are per store and follow the store's time zone", () => {
+  const leads = createLeadStore({ filePath: path.join(dir, "zones.json") });
+  leads.setSlotConfig({ ...everyDay, times: ["10:00", "12:00"] }, { tenantId: "dubai" });
+
+  assert.deepEqual(leads.getSlotConfig({ tenantId: "dubai", timeZone: "Asia/Dubai" }).times, ["10:00", "12:00"]);
+  assert.deepEqual(leads.getSlotConfig({ tenantId: "andheri" }).times, ["11:00", "13:00", "15:00", "17:00"]);
+
+  const [first] = leads.availableSlots({ tenantId: "dubai", timeZone: "Asia/Dubai", limit: 1 });
+  const dubaiNow = localParts(new Date(), "Asia/Dubai");
+  assert.ok(first > `${dubaiNow.date} ${dubaiNow.time}`, `${first} is after the current time in Dubai`);
+});
+
+test("holds count against the store's own stock only", () => {
+  const leads = createLeadStore({ filePath: path.join(dir, "holds.json") });
+  leads.createLead("hold", "911", { jewelCodes: ["RNG001"], tenantId: "andheri" });
+
+  assert.equal(leads.activeHolds("rng001", { tenantId: "andheri" }).length, 1);
+  assert.equal(leads.activeHolds("RNG001", { tenantId: "bandra" }).length, 0);
+});
+
+test("each store keeps its own wishlist for a customer", () => {
+  const leads = createLeadStore({ filePath: path.join(dir, "wishlists.json") });
+  leads.addToWishlist("911", "RNG001", { tenantId: "andheri" });
+  leads.addToWishlist("911", "NKL001", { tenantId: "bandra" });
+
+  assert.deepEqual(leads.getWishlist("911", { tenantId: "andheri" }).map(i => i.jewelCode), ["RNG001"]);
+  assert.deepEqual(leads.listWishlists({ tenantId: "bandra" }).map(w => [w.tenantId, w.phone, w.items.length]), [["bandra", "911", 1]]);
+  assert.equal(leads.removeFromWishlist("911", "NKL001", { tenantId: "andheri" }), false);
+
+  assert.deepEqual(leads.deleteByPhone("911"), { leads: 0, wishlist: true });
+  assert.deepEqual(leads.listWishlists({ phone: "911" }), []);
+});
+
+test("wishlists saved before stores were tracked belong to the default store", () => {
+  const filePath = path.join(dir, "legacy-wishlists.json");
+  fs.writeFileSync(filePath, JSON.stringify({ wishlists: { "922": [{ jewelCode: "RNG002", addedAt: "2025-01-01T00:00:00.000Z" }] } }));
+  const leads = createLeadStore({ filePath });
+  leads.assignLegacyLeads("main");
+
+  assert.deepEqual(leads.getWishlist("922", { tenantId: "main" }).map(i => i.jewelCode), ["RNG002"]);
+  assert.deepEqual(createLeadStore({ filePath }).listWishlists().map(w => w.tenantId), ["main"]);
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness");
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+const cardCodes = (sent) => sent
+  .filter(m => m.type === "interactive")
+  .map(m => m.payload.interactive.action.buttons[0].reply.id.split(":")[1]);
+
+// The customer message the model saw last
+const lastUserMessage = () => harness.bot.llm.calls
+  .flatMap(call => call.messages)
+  .filter(m => m.role === "user")
+  .pop().content;
+
+test("a voice note is transcribed and searched like typed text", async () => {
+  const sent = await harness.sendVoiceNote("show me rings", { from: "919800000201" });
+
+  assert.equal(lastUserMessage(), "show me rings");
+  assert.deepEqual(cardCodes(sent), ["RNG001", "RNG002", "RNG003"]);
+
+  const download = harness.graph.downloads.at(-1);
+  assert.match(download.mediaId, /^media-audio-/);
+  assert.equal(download.token, "test-whatsapp-token");
+});
+
+test("a photo is matched to catalog styles and categories", async () => {
+  const sent = await harness.sendPhoto("A yellow gold floral cocktail ring with red stones", { from: "919800000202" });
+
+  assert.equal(lastUserMessage(), "Floral Cocktail Ring");
+  assert.equal(cardCodes(sent)[0], "RNG003");
+});
+
+test("a photo caption is kept alongside the matched terms", async () => {
+  await harness.sendPhoto("Gold jhumka earrings", { caption: "under 30000", from: "919800000203" });
+  assert.equal(lastUserMessage(), "under 30000 Jhumka");
+});
+
+test("a photo that matches nothing in the catalog asks for a description", async () => {
+  const modelCalls = harness.bot.llm.calls.length;
+  const sent = await harness.sendPhoto("A cat asleep on a sofa", { from: "919800000204" });
+
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].body, /couldn't match it to our collection/);
+  assert.equal(harness.bot.llm.calls.length, modelCalls);
+});
+
+test("media that cannot be downloaded gets an apology", async () => {
+  const sent = await harness.send({ type: "audio", audio: { id: "media-missing", mime_type: "audio/ogg" } }, { from: "919800000205" });
+
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].body, /couldn't make out that voice note/);
+  assert.ok(harness.logs.some(line => line.includes("Error reading audio")));
+});
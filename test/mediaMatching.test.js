@@ -0,0 +1,11 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { matchCatalogTerms } = require("../lib/media");
+
+test("photos match every catalog style, not just the ones listed in the vision prompt", () => {
+  const products = Array.from({ length: 60 }, (_, i) => ({ "Product Category": "Ring", "Style": `Pattern${i} Motif` }));
+  products.push({ "Product Category": "Necklace", "Style": "Peacock Motif" });
+
+  const { query } = matchCatalogTerms("a gold necklace with a peacock motif", products);
+  assert.equal(query, "Peacock Motif Necklace");
+});
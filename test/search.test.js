@@ -0,0 +1,39 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { searchProducts, missingProductTypes } = require("../lib/search");
+
+const products = [
+  { "JewelCode": "RNG001", "Product Category": "Ring", "Sub Category": "Solitaire", "Style": "Solitaire Ring", "Sale Price": 45000 },
+  { "JewelCode": "RNG002", "Product Category": "Ring", "Sub Category": "Band", "Style": "Plain Band", "Sale Price": 28000 },
+  { "JewelCode": "ERG001", "Product Category": "Earrings", "Sub Category": "Studs", "Style": "Diamond Studs", "Sale Price": 32000 }
+];
+
+const codes = (results) => results.map(p => p["JewelCode"]);
+
+test("a kind of jewellery the catalog doesn't carry finds nothing, with or without a price", () => {
+  assert.deepEqual(searchProducts(products, { query: "anklets" }), []);
+  assert.deepEqual(searchProducts(products, { query: "anklets under 50000" }), []);
+  assert.deepEqual(searchProducts(products, { query: "bangle", maxPrice: 50000 }), []);
+  assert.deepEqual(missingProductTypes(products, "payal under 50 hazaar"), ["anklet"]);
+});
+
+test("unknown words alone find nothing, even with a price range", () => {
+  assert.deepEqual(searchProducts(products, { query: "xylophone under 50000" }), []);
+});
+
+test("a price range on its own, or with known words, still filters the catalog", () => {
+  assert.deepEqual(codes(searchProducts(products, { query: "under 40000" })), ["RNG002", "ERG001"]);
+  assert.deepEqual(codes(searchProducts(products, { query: "elegant rings under 50000" })), ["RNG001", "RNG002"]);
+  assert.deepEqual(missingProductTypes(products, "rings under 50000"), []);
+});
+
+test("pieces without a price are left out of price-range searches", () => {
+  const withUnpriced = [
+    ...products,
+    { "JewelCode": "RNG003", "Product Category": "Ring", "Style": "Twisted Band", "Sale Price": "" },
+    { "JewelCode": "RNG004", "Product Category": "Ring", "Style": "Plain Band", "Sale Price": 0 }
+  ];
+  assert.deepEqual(codes(searchProducts(withUnpriced, { query: "rings under 50000" })), ["RNG001", "RNG002"]);
+  assert.deepEqual(codes(searchProducts(withUnpriced, { query: "band", minPrice: 10000 })), ["RNG002"]);
+  assert.deepEqual(codes(searchProducts(withUnpriced, { query: "band" })), ["RNG002", "RNG003", "RNG004"]);
+});
@@ -0,0 +1,39 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createSemanticIndex } = require("../lib/semanticIndex");
+const { createLocalEmbeddingProvider } = require("../lib/embeddings");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wabot-semantic-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("a slow rebuild overtaken by a newer one does not replace it", async () => {
+  // The first embed call is held back until the second rebuild has finished
+  const local = createLocalEmbeddingProvider();
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  let calls = 0;
+  const provider = {
+    name: "held",
+    model: "test",
+    async embed(texts) {
+      if (++calls === 1) await held;
+      return local.embed(texts);
+    }
+  };
+  const index = createSemanticIndex({ provider, cacheDir: dir });
+
+  const uploaded = [{ "JewelCode": "NEW1", "Product Category": "Ring", "Style": "Floral" }, { "JewelCode": "NEW2", "Product Category": "Ring", "Style": "Plain" }];
+  const rolledBack = [{ "JewelCode": "OLD1", "Product Category": "Bangle", "Style": "Kada" }, { "JewelCode": "OLD2", "Product Category": "Bangle", "Style": "Twisted" }];
+
+  const slow = index.rebuild(uploaded);
+  await index.rebuild(rolledBack);
+  release();
+  await slow;
+
+  assert.equal(index.getInfo().indexed, 2);
+  assert.deepEqual(index.similarTo(rolledBack[0]).map(m => m.product["JewelCode"]), ["OLD2"]);
+  assert.deepEqual(index.similarTo(uploaded[0]), []);
+});
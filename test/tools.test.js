@@ -0,0 +1,42 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { TOOL_DEFINITIONS, createToolRunner } = require("../lib/tools");
+
+const products = [{ "JewelCode": "RNG001", "Product Category": "Ring", "Style": "Floral", "Sale Price": 45000, "Qty": 1 }];
+
+function createRunner(overrides = {}) {
+  return createToolRunner({
+    catalog: { getProducts: () => products, findByCode: code => products.find(p => p["JewelCode"] === code) || null },
+    findProducts: async () => products,
+    suggestProducts: async () => products,
+    similarProducts: () => [],
+    knowledgeBase: { search: () => [], getPolicy: () => null, list: () => [] },
+    pricing: { priceOf: p => p["Sale Price"], withLivePrice: p => p },
+    leads: {},
+    storeInfo: { id: "test", brand: { name: "Test Jewellers" }, businessHours: null },
+    ...overrides
+  });
+}
+
+test("arguments that are not an object come back to the model as a tool error", async () => {
+  const runTool = createRunner();
+  assert.match((await runTool("getProducts", "[1]")).result.error, /expected a JSON object/);
+  assert.ok((await runTool("getProducts", "null")).result.products, "null arguments mean no arguments");
+});
+
+test("a tool that throws returns an error instead of ending the turn", async () => {
+  const runTool = createRunner({ findProducts: async () => { throw new Error("index exploded"); } });
+  const original = console.error;
+  console.error = () => {};
+  try {
+    const { result } = await runTool("getProducts", JSON.stringify({ query: "rings" }), {});
+    assert.match(result.error, /getProducts tool failed/);
+  } finally {
+    console.error = original;
+  }
+});
+
+test("getProducts accepts a style filter", () => {
+  const getProducts = TOOL_DEFINITIONS.find(t => t.function.name === "getProducts");
+  assert.equal(getProducts.function.parameters.properties.style.type, "string");
+});
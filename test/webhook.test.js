@@ -0,0 +1,80 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness");
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+test("webhook verification echoes the challenge for the right token", async () => {
+  const query = new URLSearchParams({ "hub.mode": "subscribe", "hub.verify_token": harness.verifyToken, "hub.challenge": "1158201444" });
+  const res = await fetch(`${harness.baseUrl}/webhook?${query}`);
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), "1158201444");
+});
+
+test("webhook verification is refused for a wrong token", async () => {
+  const query = new URLSearchParams({ "hub.mode": "subscribe", "hub.verify_token": "wrong", "hub.challenge": "1158201444" });
+  const res = await fetch(`${harness.baseUrl}/webhook?${query}`);
+  assert.equal(res.status, 403);
+});
+
+test("unsigned and tampered deliveries are rejected without a reply", async () => {
+  const body = harness.webhookPayload({ from: harness.customer, id: "wamid.unsigned", type: "text", text: { body: "rings" } });
+
+  const unsigned = await harness.postWebhook(body, { signature: "" });
+  assert.equal(unsigned.status, 401);
+
+  const tampered = await harness.postWebhook(body, { signature: `sha256=${"0".repeat(64)}` });
+  assert.equal(tampered.status, 401);
+
+  await harness.bot.messageQueue.idle();
+  assert.equal(harness.graph.sentTo(harness.customer).length, 0);
+});
+
+test("replies go out from the receiving number with its token", async () => {
+  const sent = await harness.sendText("hello");
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].phoneNumberId, "100200300");
+  assert.equal(sent[0].token, "test-whatsapp-token");
+  assert.equal(sent[0].body, "Hello! 👋 What can I help you find today?");
+});
+
+test("a redelivered message is handled once", async () => {
+  const body = harness.webhookPayload({ from: "919800000009", id: "wamid.repeat", type: "text", text: { body: "hello" } });
+  await harness.postWebhook(body);
+  await harness.postWebhook(body);
+  await harness.bot.messageQueue.idle();
+  assert.equal(harness.graph.sentTo("919800000009").length, 1);
+});
+
+test("messages for an unknown phone number ID are ignored", async () => {
+  const body = harness.webhookPayload({ from: "919800000010", id: "wamid.elsewhere", type: "text", text: { body: "hello" } }, { phoneNumberId: "999" });
+  const res = await harness.postWebhook(body);
+  assert.equal(res.status, 200);
+  await harness.bot.messageQueue.idle();
+  assert.equal(harness.graph.sentTo("919800000010").length, 0);
+});
+
+test("START lifts a STOP without opting the customer in to campaigns", async () => {
+  const customer = "919800000301";
+  const admin = { headers: { Authorization: "Bearer test-admin-token" } };
+  await harness.sendText("show me rings", { from: customer });
+  await harness.sendText("STOP", { from: customer });
+  const started = await harness.sendText("START", { from: customer });
+  assert.equal(started.length, 1);
+
+  const res = await fetch(`${harness.baseUrl}/admin/contacts?optedIn=true`, admin);
+  const { contacts } = await res.json();
+  assert.ok(!contacts.some(c => c.phone === customer));
+
+  // "resume" is ordinary chat, not a consent keyword
+  const resumed = await harness.sendText("resume", { from: customer });
+  assert.ok(!resumed.some(m => /Welcome back/.test(m.body || "")));
+});
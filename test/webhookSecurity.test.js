@@ -0,0 +1,41 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { verifyWebhookSignature } = require("../lib/webhookSecurity");
+
+const saved = { APP_SECRET: process.env.APP_SECRET, ALLOW_UNSIGNED_WEBHOOKS: process.env.ALLOW_UNSIGNED_WEBHOOKS };
+afterEach(() => {
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+});
+
+// Run the middleware on an unsigned delivery; resolves with the status sent, or "next"
+function deliverUnsigned() {
+  const original = console.log;
+  console.log = () => {};
+  try {
+    let outcome = null;
+    const req = { rawBody: Buffer.from("{}"), get: () => undefined };
+    const res = { status(code) { outcome = code; return this; }, json() { return this; } };
+    verifyWebhookSignature(req, res, () => { outcome = "next"; });
+    return outcome;
+  } finally {
+    console.log = original;
+  }
+}
+
+test("without APP_SECRET unsigned deliveries are rejected", () => {
+  delete process.env.APP_SECRET;
+  delete process.env.ALLOW_UNSIGNED_WEBHOOKS;
+  assert.equal(deliverUnsigned(), 401);
+});
+
+test("ALLOW_UNSIGNED_WEBHOOKS=true lets them through only while APP_SECRET is unset", () => {
+  process.env.ALLOW_UNSIGNED_WEBHOOKS = "true";
+  delete process.env.APP_SECRET;
+  assert.equal(deliverUnsigned(), "next");
+
+  process.env.APP_SECRET = "secret";
+  assert.equal(deliverUnsigned(), 401);
+});